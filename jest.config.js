@@ -0,0 +1,6 @@
+// The sources are native ES modules, so they run untransformed with --experimental-vm-modules
+export default {
+  testEnvironment: "node",
+  testMatch: ["<rootDir>/test/**/*.test.js"],
+  transform: {},
+};
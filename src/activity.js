@@ -0,0 +1,102 @@
+// activity.js
+
+/**
+ * Options for the automatic pause policies.
+ *
+ * @typedef {Object} AutoPauseOptions
+ * @property {boolean} [hidden=true] - Pause while the page is hidden (background tab, minimized window).
+ * @property {boolean} [activity=true] - Pause while the visitor is typing, clicking or scrolling.
+ * @property {number} [activityDelay=2000] - The time (in milliseconds) without input before solving resumes. Resumption waits for an idle period of the main thread.
+ */
+
+const activityEvents = [
+  "keydown",
+  "input",
+  "pointerdown",
+  "wheel",
+  "scroll",
+  "touchstart",
+];
+
+/**
+ * Normalizes the autoPause config option.
+ *
+ * @param {boolean|AutoPauseOptions} autoPause - The autoPause config option.
+ * @returns {AutoPauseOptions|null} The options, or null if no policy is enabled.
+ */
+export function resolveAutoPauseOptions(autoPause) {
+  if (!autoPause) return null;
+  const options = autoPause === true ? {} : autoPause;
+  return {
+    hidden: options.hidden !== false,
+    activity: options.activity !== false,
+    activityDelay:
+      options.activityDelay !== undefined ? options.activityDelay : 2000,
+  };
+}
+
+/**
+ * Pauses and resumes a solver based on page visibility and visitor activity.
+ * Only has an effect in the browser.
+ *
+ * @param {import("./solver.js").Solver} solver - The solver to pause and resume.
+ * @param {AutoPauseOptions} options - The enabled policies.
+ * @returns {function(): void} Removes the listeners and clears the pauses this watcher added.
+ */
+export function watchActivity(solver, options) {
+  if (typeof document === "undefined") return () => {};
+
+  const cleanups = [];
+
+  if (options.hidden) {
+    const onVisibilityChange = () => {
+      if (document.hidden) {
+        solver.pause("hidden");
+      } else {
+        solver.resume("hidden");
+      }
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    onVisibilityChange();
+    cleanups.push(() => {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+      solver.resume("hidden");
+    });
+  }
+
+  if (options.activity) {
+    const requestIdle =
+      typeof requestIdleCallback === "function"
+        ? (callback) =>
+            requestIdleCallback(callback, { timeout: options.activityDelay })
+        : (callback) => setTimeout(callback, 0);
+    let timeoutId = null;
+
+    const onActivity = () => {
+      solver.pause("activity");
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        requestIdle(() => solver.resume("activity"));
+      }, options.activityDelay);
+    };
+    for (const event of activityEvents) {
+      window.addEventListener(event, onActivity, {
+        capture: true,
+        passive: true,
+      });
+    }
+    cleanups.push(() => {
+      for (const event of activityEvents) {
+        window.removeEventListener(event, onActivity, { capture: true });
+      }
+      clearTimeout(timeoutId);
+      solver.resume("activity");
+    });
+  }
+
+  return () => {
+    for (const cleanup of cleanups) {
+      cleanup();
+    }
+  };
+}
@@ -1,69 +1,52 @@
-import axios from "axios";
-import init, { is_valid_solution } from "./drillx/pkg/drillx_wasm.js";
-import { logError, logDebug } from "./print.js";
+import { request } from "./http.js";
+import { AbortError, InvalidSolutionError } from "./errors.js";
+import { initializeWasm, is_valid_solution } from "./wasm.js";
+import { getLogger, shortHash } from "./print.js";
+import { sleep } from "./helpers.js";
+import { resolveStorage } from "./storage.js";
 
 const isNode = typeof window === "undefined" && typeof process !== "undefined";
 
-let Buffer, fs, path, fileURLToPath;
+let Buffer;
 if (isNode) {
   Buffer = (await import("buffer")).Buffer;
-  fs = await import("fs");
-  path = await import("path");
-  fileURLToPath = (await import("url")).fileURLToPath;
 }
 
-const storage = isNode ? new Map() : sessionStorage;
-
-let wasmModule;
-
-async function initializeWasm() {
-  if (wasmModule) return;
-
-  if (isNode) {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const wasmPath = path.join(
-      __dirname,
-      "drillx",
-      "pkg",
-      "drillx_wasm_bg.wasm"
-    );
-    const wasmBuffer = fs.readFileSync(wasmPath);
-    wasmModule = await init(wasmBuffer);
-  } else {
-    wasmModule = await init();
-  }
+function apiLogger(apiKey, config) {
+  return getLogger(config).child({
+    component: "api",
+    apiKeyHash: shortHash(apiKey),
+  });
 }
 
-export async function getChallenge(apiKey, config, emitStatus) {
-  logDebug("Fetching challenge", config);
+export async function getChallenge(apiKey, config, emitStatus, signal) {
+  const logger = apiLogger(apiKey, config);
+  logger.debug("Fetching challenge");
   emitStatus("Fetching challenge");
-  await new Promise((resolve) => setTimeout(resolve, 1000));
-  const captchaWorkerId = storage.getItem
-    ? storage.getItem("captchaWorkerId")
-    : storage.get("captchaWorkerId");
-  const params = new URLSearchParams();
-  if (captchaWorkerId) {
-    params.append("captchaWorkerId", captchaWorkerId);
+  await sleep(1000, signal);
+  if (signal && signal.aborted) {
+    throw new AbortError("Challenge request aborted", { code: "ABORTED" });
   }
-  logDebug(`captchaWorkerId: ${captchaWorkerId}`);
-  if (config.nonceRangeSize) {
-    params.append("nonceRangeSize", config.nonceRangeSize);
-  } else {
-    params.append("nonceRangeSize", 1000);
+  const storage = resolveStorage(config);
+  const captchaWorkerId = await storage.get("captchaWorkerId");
+  const params = {};
+  if (captchaWorkerId) {
+    params.captchaWorkerId = captchaWorkerId;
   }
+  logger.debug(`captchaWorkerId: ${captchaWorkerId}`);
+  params.nonceRangeSize = config.nonceRangeSize || 1000;
 
   try {
-    logDebug("Calling cash captcha API for challenge");
-    const response = await axios.get(
-      `${config.apiUrl}/captcha/challenge?${params.toString()}`,
-      {
-        headers: { "X-API-KEY": apiKey },
-      }
-    );
-    logDebug(`response status: ${response.data.status}`);
-    if (response.data.status === "not_ready") {
-      const nextCheckIn = new Date(response.data.nextCheckIn);
+    logger.debug("Calling cash captcha API for challenge");
+    const data = await request(config, {
+      path: "/captcha/challenge",
+      params,
+      headers: { "X-API-KEY": apiKey },
+      signal,
+    });
+    logger.debug(`response status: ${data.status}`);
+    if (data.status === "not_ready") {
+      const nextCheckIn = new Date(data.nextCheckIn);
       const now = new Date();
       const timeUntilNextCheckIn = nextCheckIn - now;
 
@@ -76,22 +59,21 @@ export async function getChallenge(apiKey, config, emitStatus) {
       return {
         status: "not_ready",
         retryDelay: timeUntilNextCheckIn,
-        nextCheckIn: response.data.nextCheckIn,
+        nextCheckIn: data.nextCheckIn,
       };
     }
-    if (response.data.captchaWorkerId) {
-      if (storage.setItem) {
-        storage.setItem("captchaWorkerId", response.data.captchaWorkerId);
-      } else {
-        storage.set("captchaWorkerId", response.data.captchaWorkerId);
-      }
+    if (data.captchaWorkerId && data.captchaWorkerId !== captchaWorkerId) {
+      await storage.set("captchaWorkerId", data.captchaWorkerId);
     }
-    return response.data;
+    return data;
   } catch (error) {
-    logError(`[getChallenge] Error fetching challenge: ${error.message}`);
+    if (error instanceof AbortError) {
+      logger.debug("Challenge request aborted");
+      throw error;
+    }
+    logger.error(`[getChallenge] Error fetching challenge: ${error.message}`);
     emitStatus("Error fetching challenge");
-    await new Promise((resolve) => setTimeout(resolve, 30000));
-    return null;
+    throw error;
   }
 }
 
@@ -100,9 +82,13 @@ export async function submitSolution(
   solution,
   challenge,
   config,
-  emitStatus
+  emitStatus,
+  signal
 ) {
-  await new Promise((resolve) => setTimeout(resolve, 1000));
+  const logger = apiLogger(apiKey, config).child({
+    challengeId: shortHash(challenge),
+  });
+  await sleep(1000, signal);
   try {
     await initializeWasm();
     let challengeArray;
@@ -121,55 +107,75 @@ export async function submitSolution(
     ]);
 
     if (challengeArray.length !== 32 || solutionArray.length !== 24) {
-      logError("[submitSolution] Invalid input lengths");
+      logger.error("[submitSolution] Invalid input lengths");
       emitStatus("Error: Invalid input lengths");
-      return { status: "error", message: "Invalid input lengths" };
+      throw new InvalidSolutionError("Invalid input lengths", {
+        code: "INVALID_LENGTH",
+      });
     }
 
     let isValid;
     try {
       isValid = is_valid_solution(challengeArray, solutionArray);
     } catch (error) {
-      logError(`[submitSolution] Error validating solution: ${error.message}`);
+      logger.error(
+        `[submitSolution] Error validating solution: ${error.message}`
+      );
       emitStatus(`Error validating solution: ${error.message}`);
-      return {
-        status: "error",
-        message: `Error validating solution: ${error.message}`,
-      };
+      throw new InvalidSolutionError(
+        `Error validating solution: ${error.message}`,
+        { code: "VALIDATION_FAILED", cause: error }
+      );
     }
 
     if (!isValid) {
-      logError("[submitSolution] Invalid solution, not submitting");
+      logger.error("[submitSolution] Invalid solution, not submitting");
       emitStatus("Error: Invalid solution");
-      return { status: "error", message: "Invalid solution" };
+      throw new InvalidSolutionError("Invalid solution", {
+        code: "INVALID_SOLUTION",
+      });
     }
-    const captchaWorkerId = storage.getItem
-      ? storage.getItem("captchaWorkerId")
-      : storage.get("captchaWorkerId");
-    const params = new URLSearchParams();
+    const captchaWorkerId = await resolveStorage(config).get("captchaWorkerId");
+    const params = {};
     if (captchaWorkerId) {
-      params.append("captchaWorkerId", captchaWorkerId);
+      params.captchaWorkerId = captchaWorkerId;
     }
 
-    logDebug(`Calling cash captcha API to submit solution`);
-    const response = await axios.post(
-      `${config.apiUrl}/captcha/solution?${params.toString()}`,
-      solution,
-      {
-        headers: {
-          "X-API-KEY": apiKey,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-    logDebug(`response status: ${response.data.status}`);
+    logger.debug(`Calling cash captcha API to submit solution`);
+    // Submitting the same solution twice is harmless, so it can be retried.
+    const data = await request(config, {
+      method: "post",
+      path: "/captcha/solution",
+      params,
+      data: solution,
+      headers: { "X-API-KEY": apiKey },
+      signal,
+      idempotent: true,
+    });
+    logger.debug(`response status: ${data.status}`);
     emitStatus("Solution submitted successfully");
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-    return { status: "success", data: response.data };
+    await sleep(1000, signal);
+    return data;
   } catch (error) {
-    logError(`[submitSolution] Error submitting solution: ${error.message}`);
+    if (error instanceof AbortError) {
+      logger.debug("Solution submission aborted");
+      throw error;
+    }
+    if (error instanceof InvalidSolutionError) {
+      throw error;
+    }
+    logger.error(
+      `[submitSolution] Error submitting solution: ${error.message}`
+    );
     emitStatus(`Error submitting solution: ${error.message}`);
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-    return { status: "error", message: error.message };
+    if (error.status === 400 || error.status === 422) {
+      // The server rejected the solution itself
+      throw new InvalidSolutionError(error.message, {
+        status: error.status,
+        code: error.code,
+        cause: error,
+      });
+    }
+    throw error;
   }
 }
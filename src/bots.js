@@ -0,0 +1,84 @@
+// bots.js
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+/**
+ * User agent patterns of known crawlers, link preview renderers and headless browsers.
+ * Patterns are checked in order; the first match determines the reason code. They match the tokens of the
+ * crawlers only, not the in-app browsers of the same companies (the WhatsApp and Pinterest apps, for example),
+ * which real visitors use.
+ *
+ * @type {Array<{ pattern: RegExp, reason: string }>}
+ */
+export const defaultBotPatterns = [
+  {
+    pattern: /Chrome-Lighthouse|Lighthouse|PTST|GTmetrix/i,
+    reason: "lighthouse",
+  },
+  {
+    pattern: /HeadlessChrome|PhantomJS|SlimerJS/i,
+    reason: "headless",
+  },
+  {
+    pattern:
+      /facebookexternalhit|Facebot|Twitterbot|Slackbot|LinkedInBot|Discordbot|^WhatsApp\/|TelegramBot|SkypeUriPreview|redditbot|Pinterestbot|Pinterest\/0\.|Embedly|vkShare|Iframely/i,
+    reason: "preview",
+  },
+  {
+    pattern:
+      /Googlebot|Google-InspectionTool|AdsBot-Google|Mediapartners-Google|bingbot|BingPreview|Slurp|DuckDuckBot|Baiduspider|YandexBot|Sogou|Exabot|Applebot|AhrefsBot|SemrushBot|MJ12bot|DotBot|PetalBot|GPTBot|ClaudeBot|CCBot/i,
+    reason: "crawler",
+  },
+  // Generic crawlers name themselves "SomethingBot/1.0" or link to a page about the bot; a bare "bot" is not
+  // enough, as it is also part of device names such as CUBOT
+  {
+    pattern:
+      /bot\/\d|\(compatible;[^)]*\+https?:|crawler|spider|crawling|scraper/i,
+    reason: "crawler",
+  },
+];
+
+function matches(userAgent, pattern) {
+  return pattern instanceof RegExp
+    ? pattern.test(userAgent)
+    : userAgent.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Detects crawlers, headless browsers and automation frameworks such as Puppeteer, Playwright and Selenium.
+ * Always reports no automation in Node.js.
+ *
+ * @param {object} [options] - The detection options.
+ * @param {Array<{ pattern: (RegExp|string), reason: string }>} [options.patterns=[]] - Additional user agent patterns, checked before the default ones.
+ * @param {Array<RegExp|string>} [options.allowlist=[]] - User agents matching any of these are never reported as automation.
+ * @returns {{ isBot: boolean, reason: (string|null), userAgent: (string|null) }} The detection result. `reason` is "webdriver", "headless", "lighthouse", "preview", "crawler" or the reason of a custom pattern.
+ */
+export function detectAutomation({ patterns = [], allowlist = [] } = {}) {
+  if (isNode) {
+    return { isBot: false, reason: null, userAgent: null };
+  }
+
+  const userAgent = navigator.userAgent || "";
+  const result = (reason) => ({ isBot: reason !== null, reason, userAgent });
+
+  if (allowlist.some((pattern) => matches(userAgent, pattern))) {
+    return result(null);
+  }
+
+  // Set by WebDriver based tools, including Puppeteer, Playwright and Selenium
+  if (navigator.webdriver) {
+    return result("webdriver");
+  }
+
+  for (const { pattern, reason } of [...patterns, ...defaultBotPatterns]) {
+    if (matches(userAgent, pattern)) {
+      return result(reason || "custom");
+    }
+  }
+
+  // Globals injected by older headless browsers and automation libraries
+  if (globalThis.callPhantom || globalThis._phantom || globalThis.__nightmare) {
+    return result("headless");
+  }
+
+  return result(null);
+}
@@ -1,15 +1,37 @@
 // config.js
+import { ConfigError } from "./errors.js";
 
 /**
  * Default configuration object for the application.
  *
  * @typedef {Object} DefaultConfig
  * @property {string} apiUrl - The API endpoint URL for the application. Use the default endpoint unless you have been provided with a custom endpoint by Cashcaptcha.
- * @property {string} logLevel - The log level for the application.
+ * @property {string} logLevel - The log level of the instance: "silent", "error", "warn", "info" or "debug".
+ * @property {Object|null} logger - A logger with error, warn, info and debug methods, such as pino or winston. Each method is called with the message and an object of structured fields (component, apiKeyHash, challengeId and args for extra values). Defaults to the console when null.
+ * @property {string} logFormat - The format of console logs: "pretty" for human readable lines or "json" for one JSON object per line. Ignored when logger is set.
  * @property {number} maxRetries - The maximum number of retries for API requests.
- * @property {number} retryDelay - The delay (in milliseconds) between retries for API requests.
- * @property {number} performanceThreshold - The minimum performance threshold required to active the application ranging from 0 (high performance) to 4 (low performance).
+ * @property {number} retryDelay - The delay (in milliseconds) before the first retry of an API request. Later retries back off exponentially.
+ * @property {number} maxRetryDelay - The maximum delay (in milliseconds) between retries for API requests.
+ * @property {number} requestTimeout - The timeout (in milliseconds) of a single API request.
+ * @property {number} performanceThreshold - The minimum performance threshold required to active the application ranging from 0 (high performance) to 5. Devices in a category lower than the threshold solve, so 5 solves on every device that is not automation.
  * @property {number} nonceRangeSize - The maximum number of nonce values to use for solving challenges.
+ * @property {number|null} workerCount - The number of workers used to solve each challenge. Defaults to half of the available cores when null.
+ * @property {number} sliceDuration - The time (in milliseconds) a worker hashes nonces before yielding to process messages.
+ * @property {number} cpuLimit - The percentage of one core (1 to 100) all workers together may use. It is split evenly between the workers, which alternate hashing and resting to stay within their share.
+ * @property {number} deviceCheckInterval - The time (in milliseconds) between re-evaluations of the device performance category while solving. Battery and connection changes also trigger a re-evaluation. Set to 0 to disable.
+ * @property {Function|null} devicePolicy - A custom function mapping the device information to a performance category. Defaults to defaultDevicePolicy when null.
+ * @property {boolean} benchmark - Measure the drillx hash rate before solving and use it to categorize the device.
+ * @property {Array<{pattern: (RegExp|string), reason: string}>} botPatterns - Additional user agent patterns to treat as automation.
+ * @property {Array<RegExp|string>} botAllowlist - User agents that are never treated as automation.
+ * @property {boolean} allowAutomation - Solve even when a crawler, headless browser or automation framework is detected.
+ * @property {number} statsInterval - The time (in milliseconds) between stats events while the solver runs. Set to 0 (the default) to disable them; getStats() is always available.
+ * @property {boolean} singleTab - Solve in one tab only (browser only). The other tabs of the same site stay passive and emit the events of the solving tab, and take over when it is closed. Requires the Web Locks and BroadcastChannel APIs.
+ * @property {Object|null} storage - Where the captchaWorkerId is kept: an object with get(key), set(key, value) and remove(key) methods, which may be async. Defaults to sessionStorage in the browser and memory of the instance in Node.js when null.
+ * @property {Object|null} queueStore - Where solutions that could not be submitted are persisted until they are replayed: an object with async load(), put(entry) and remove(id) methods. Defaults to IndexedDB in the browser and a JSON file in Node.js when null.
+ * @property {Object|null} claimStorage - Where Rewards.claim() records the claims it makes, for exports: an object with get(key), set(key, value) and remove(key) methods, which may be async. Defaults to localStorage in the browser when null. Required in Node.js to record claims.
+ * @property {string|null} queueFile - The path of the JSON file used by the default queue store in Node.js. Defaults to queue-<API key hash>.json in the .cash-captcha directory of the home directory when null.
+ * @property {Object|null} consent - A ConsentManager. The Solver waits for the visitor to allow solving before it starts, and stops and removes the captchaWorkerId when they deny or revoke it. Defaults to no consent check when null.
+ * @property {boolean|Object} autoPause - Pause automatically while the page is hidden or the visitor is active (browser only). Pass true to enable every policy, or an object such as { hidden: true, activity: false, activityDelay: 2000 }.
  */
 
 /**
@@ -20,22 +42,148 @@
 const defaultConfig = {
   apiUrl: process.env.CASHCAPTCHA_API_ENDPOINT || "https://api.cashcaptcha.com",
   logLevel: "warn",
+  logger: null,
+  logFormat: "pretty",
   maxRetries: 3,
   retryDelay: 5000,
+  maxRetryDelay: 60000,
+  requestTimeout: 15000,
   performanceThreshold: 3,
   nonceRangeSize: 1000,
+  workerCount: null,
+  sliceDuration: 50,
+  cpuLimit: 100,
+  autoPause: false,
+  deviceCheckInterval: 60000,
+  devicePolicy: null,
+  benchmark: false,
+  botPatterns: [],
+  botAllowlist: [],
+  allowAutomation: false,
+  statsInterval: 0,
+  singleTab: false,
+  storage: null,
+  queueStore: null,
+  queueFile: null,
+  claimStorage: null,
+  consent: null,
 };
 
-let cashCaptchaGlobalConfig = { ...defaultConfig };
-
-export function setGlobalConfig(userConfig = {}) {
-  cashCaptchaGlobalConfig = { ...defaultConfig, ...userConfig };
-}
+// Used by the code that is not tied to an instance, such as device
+// categorization. Never modified: each instance owns its configuration.
+const globalConfig = Object.freeze({ ...defaultConfig });
 
+/**
+ * Returns the default configuration, used by the code that is not tied to a Solver, Rewards or Register instance.
+ *
+ * @returns {DefaultConfig} The default configuration.
+ */
 export function getGlobalConfig() {
-  return cashCaptchaGlobalConfig;
+  return globalConfig;
 }
 
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+const isInteger = (value) => Number.isInteger(value);
+const isObject = (value) => typeof value === "object" && value !== null;
+const hasMethods =
+  (...methods) =>
+  (value) =>
+    isObject(value) &&
+    methods.every((method) => typeof value[method] === "function");
+
+// Each validator returns the expected type or range when the value is invalid.
+const validators = {
+  apiUrl: (value) => typeof value !== "string" && "a string",
+  logLevel: (value) =>
+    !["silent", "error", "warn", "info", "debug"].includes(value) &&
+    'one of "silent", "error", "warn", "info" or "debug"',
+  logger: (value) =>
+    value !== null &&
+    !isObject(value) &&
+    "null or an object with error, warn, info and debug methods",
+  logFormat: (value) =>
+    !["pretty", "json"].includes(value) && '"pretty" or "json"',
+  maxRetries: (value) =>
+    !(isInteger(value) && value >= 0) && "an integer of at least 0",
+  retryDelay: (value) =>
+    !(isNumber(value) && value >= 0) && "a number of at least 0",
+  maxRetryDelay: (value) =>
+    !(isNumber(value) && value >= 0) && "a number of at least 0",
+  requestTimeout: (value) =>
+    !(isNumber(value) && value >= 0) && "a number of at least 0",
+  performanceThreshold: (value) =>
+    !(isInteger(value) && value >= 0 && value <= 5) && "an integer from 0 to 5",
+  nonceRangeSize: (value) =>
+    !(isInteger(value) && value >= 1 && value <= Number.MAX_SAFE_INTEGER) &&
+    "a positive integer",
+  workerCount: (value) =>
+    value !== null &&
+    !(isInteger(value) && value >= 1) &&
+    "null or a positive integer",
+  sliceDuration: (value) =>
+    !(isNumber(value) && value > 0) && "a number greater than 0",
+  cpuLimit: (value) =>
+    !(isNumber(value) && value >= 1 && value <= 100) &&
+    "a number from 1 to 100",
+  autoPause: (value) =>
+    typeof value !== "boolean" && !isObject(value) && "a boolean or an object",
+  deviceCheckInterval: (value) =>
+    !(isNumber(value) && value >= 0) && "a number of at least 0",
+  devicePolicy: (value) =>
+    value !== null && typeof value !== "function" && "null or a function",
+  benchmark: (value) => typeof value !== "boolean" && "a boolean",
+  botPatterns: (value) => !Array.isArray(value) && "an array",
+  botAllowlist: (value) => !Array.isArray(value) && "an array",
+  allowAutomation: (value) => typeof value !== "boolean" && "a boolean",
+  statsInterval: (value) =>
+    !(isNumber(value) && value >= 0) && "a number of at least 0",
+  singleTab: (value) => typeof value !== "boolean" && "a boolean",
+  storage: (value) =>
+    value !== null &&
+    !hasMethods("get", "set", "remove")(value) &&
+    "null or an object with get, set and remove methods",
+  queueStore: (value) =>
+    value !== null &&
+    !hasMethods("load", "put", "remove")(value) &&
+    "null or an object with load, put and remove methods",
+  claimStorage: (value) =>
+    value !== null &&
+    !hasMethods("get", "set", "remove")(value) &&
+    "null or an object with get, set and remove methods",
+  consent: (value) =>
+    value !== null &&
+    !hasMethods("on", "off", "waitForDecision")(value) &&
+    "null or a ConsentManager",
+  queueFile: (value) =>
+    value !== null && typeof value !== "string" && "null or a string",
+};
+
+/**
+ * Creates a configuration object from the defaults and the given options. Options set to undefined keep their default.
+ *
+ * @param {Partial<DefaultConfig>} [userConfig] - The options to override.
+ * @returns {DefaultConfig} A new configuration object, owned by the caller.
+ * @throws {ConfigError} - If an option is unknown or has an invalid type or value.
+ */
 export function createConfig(userConfig = {}) {
-  return { ...defaultConfig, ...userConfig };
+  if (!isObject(userConfig)) {
+    throw new ConfigError("The configuration must be an object");
+  }
+  const config = { ...defaultConfig };
+  for (const [key, value] of Object.entries(userConfig)) {
+    if (!(key in validators)) {
+      throw new ConfigError(`Unknown configuration option: ${key}`, {
+        option: key,
+      });
+    }
+    if (value === undefined) continue;
+    const expected = validators[key](value);
+    if (expected) {
+      throw new ConfigError(`Invalid ${key}: expected ${expected}`, {
+        option: key,
+      });
+    }
+    config[key] = value;
+  }
+  return config;
 }
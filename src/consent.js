@@ -0,0 +1,366 @@
+// consent.js - visitor consent for background solving
+import { EventEmitter } from "./emitter.js";
+import { createLocalStorage, createMemoryStorage } from "./storage.js";
+import { globalLogger } from "./print.js";
+
+/**
+ * The stored consent decision.
+ *
+ * @typedef {Object} ConsentRecord
+ * @property {number|string} version - The version of the consent text the decision applies to.
+ * @property {"granted"|"denied"} status - The decision.
+ * @property {"user"|"tcf"} source - Whether the visitor decided through grant() or deny(), or the decision came from a TCF consent management platform. A TCF decision is always a denial.
+ * @property {number} timestamp - When the decision was made, in milliseconds since the epoch.
+ */
+
+/**
+ * Options for the IAB TCF v2 integration.
+ *
+ * @typedef {Object} TcfOptions
+ * @property {number[]} [purposes=[1]] - The TCF purposes that must all have consent. Purpose 1 is "Store and/or access information on a device".
+ * @property {number|null} [vendorId=null] - Also require consent for this vendor ID, if set.
+ */
+
+/**
+ * Keeps track of whether the visitor allows background solving.
+ *
+ * The decision is stored as a versioned {@link ConsentRecord}; a record for another version counts as
+ * no decision, so that visitors are asked again when the consent text changes. When a TCF v2 consent
+ * management platform is present on the page (window.__tcfapi), it can only narrow consent: a missing TCF
+ * consent is stored as a denial, but TCF consent never grants solving, and a decision of the visitor always wins.
+ *
+ * Emits a "change" event with `{ status, previousStatus, source }` whenever the status changes.
+ */
+export class ConsentManager extends EventEmitter {
+  /**
+   * Creates a new ConsentManager and loads the stored decision.
+   * @param {object} [options] - The consent options.
+   * @param {number|string} [options.version=1] - The version of the consent text. Change it to ask every visitor again.
+   * @param {import("./storage.js").StorageAdapter} [options.storage] - Where the decision is stored. Defaults to localStorage in the browser and memory in Node.js.
+   * @param {string} [options.key="cashCaptchaConsent"] - The storage key of the decision.
+   * @param {boolean|TcfOptions} [options.tcf=true] - Deny solving when a TCF v2 consent management platform, if there is one, reports no consent. Pass false to ignore it.
+   * @param {import("./print.js").Logger} [options.logger] - The logger. Defaults to a logger using the global configuration.
+   */
+  constructor({
+    version = 1,
+    storage,
+    key = "cashCaptchaConsent",
+    tcf = true,
+    logger = globalLogger,
+  } = {}) {
+    super();
+    this.version = version;
+    this.key = key;
+    this.logger = logger;
+    this.record = null;
+    this.cleanups = [];
+
+    const hasWindow = typeof window !== "undefined";
+    this.storage =
+      storage || (hasWindow ? createLocalStorage() : createMemoryStorage());
+
+    // Decisions made in another tab reach this one through the storage event
+    if (!storage && hasWindow) {
+      const onStorage = (event) => {
+        if (event.key === this.key) this.load();
+      };
+      window.addEventListener("storage", onStorage);
+      this.cleanups.push(() =>
+        window.removeEventListener("storage", onStorage)
+      );
+    }
+
+    this.ready = this.load().then(() => {
+      if (tcf) this.watchTcf(tcf === true ? {} : tcf);
+    });
+  }
+
+  /**
+   * The current decision: "granted", "denied", or "pending" until the visitor or the consent management
+   * platform decides.
+   * @type {"granted"|"denied"|"pending"}
+   */
+  get status() {
+    return this.record ? this.record.status : "pending";
+  }
+
+  /**
+   * Whether the visitor allows background solving.
+   * @type {boolean}
+   */
+  get granted() {
+    return this.status === "granted";
+  }
+
+  /**
+   * Reads the stored decision.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let record = null;
+    try {
+      const value = await this.storage.get(this.key);
+      record = value ? JSON.parse(value) : null;
+    } catch (error) {
+      this.logger.warn(
+        `[consent] Could not read the decision: ${error.message}`
+      );
+    }
+    if (record && record.version !== this.version) {
+      this.logger.debug(
+        `[consent] Ignoring the decision for version ${record.version}`
+      );
+      record = null;
+    }
+    // Older versions stored TCF grants, which only the visitor can give
+    if (record && record.source === "tcf" && record.status !== "denied") {
+      record = null;
+    }
+    this.apply(record);
+  }
+
+  /**
+   * Records that the visitor allows background solving.
+   * @returns {Promise<void>} Resolves once the decision is stored.
+   */
+  grant() {
+    return this.decide("granted", "user");
+  }
+
+  /**
+   * Records that the visitor does not allow background solving, or revokes a previous grant.
+   * Solvers using this manager stop and forget their captchaWorkerId.
+   * @returns {Promise<void>} Resolves once the decision is stored.
+   */
+  deny() {
+    return this.decide("denied", "user");
+  }
+
+  /**
+   * Forgets the decision, so that the visitor is asked again.
+   * @returns {Promise<void>} Resolves once the decision is removed.
+   */
+  async reset() {
+    this.apply(null);
+    try {
+      await this.storage.remove(this.key);
+    } catch (error) {
+      this.logger.warn(
+        `[consent] Could not remove the decision: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Waits until there is a decision.
+   * @param {AbortSignal} [signal] - Stops waiting when aborted.
+   * @returns {Promise<"granted"|"denied"|"pending">} The decision, or "pending" if the signal was aborted first.
+   */
+  async waitForDecision(signal) {
+    await this.ready;
+    if (this.status !== "pending" || (signal && signal.aborted)) {
+      return this.status;
+    }
+    return new Promise((resolve) => {
+      const done = () => {
+        this.off("change", onChange);
+        if (signal) signal.removeEventListener("abort", done);
+        resolve(this.status);
+      };
+      const onChange = ({ status }) => {
+        if (status !== "pending") done();
+      };
+      this.on("change", onChange);
+      if (signal) signal.addEventListener("abort", done, { once: true });
+    });
+  }
+
+  /**
+   * Stops following the consent management platform and decisions made in other tabs.
+   */
+  destroy() {
+    for (const cleanup of this.cleanups) {
+      cleanup();
+    }
+    this.cleanups = [];
+  }
+
+  async decide(status, source) {
+    const record = {
+      version: this.version,
+      status,
+      source,
+      timestamp: Date.now(),
+    };
+    this.apply(record);
+    try {
+      await this.storage.set(this.key, JSON.stringify(record));
+    } catch (error) {
+      this.logger.warn(
+        `[consent] Could not store the decision: ${error.message}`
+      );
+    }
+  }
+
+  apply(record) {
+    const previousStatus = this.status;
+    this.record = record;
+    if (this.status !== previousStatus) {
+      this.logger.debug(`[consent] ${previousStatus} -> ${this.status}`);
+      this.emit("change", {
+        status: this.status,
+        previousStatus,
+        source: record ? record.source : null,
+      });
+    }
+  }
+
+  watchTcf({ purposes = [1], vendorId = null }) {
+    const tcfapi = globalThis.__tcfapi;
+    if (typeof tcfapi !== "function") return;
+
+    let listenerId = null;
+    tcfapi("addEventListener", 2, (tcData, success) => {
+      if (!success || !tcData) return;
+      listenerId = tcData.listenerId;
+      // Other statuses mean the visitor has not decided yet
+      if (
+        tcData.eventStatus !== "tcloaded" &&
+        tcData.eventStatus !== "useractioncomplete"
+      ) {
+        return;
+      }
+      // The platform never overrides the visitor's own decision
+      if (this.record && this.record.source === "user") return;
+      // Where the GDPR does not apply the platform has no objection, but that is not consent either
+      const allowed =
+        tcData.gdprApplies === false ||
+        (purposes.every(
+          (purpose) => tcData.purpose && tcData.purpose.consents[purpose]
+        ) &&
+          (vendorId === null ||
+            !!(tcData.vendor && tcData.vendor.consents[vendorId])));
+      if (!allowed) {
+        this.decide("denied", "tcf");
+      } else if (this.record) {
+        // Lifts an earlier denial of the platform; the visitor still decides
+        this.reset();
+      }
+    });
+    this.cleanups.push(() => {
+      if (listenerId !== null) {
+        tcfapi("removeEventListener", 2, () => {}, listenerId);
+      }
+    });
+  }
+}
+
+const defaultBannerText = {
+  message:
+    "This site can use a little of your device's spare computing power to support its content.",
+  allow: "Allow",
+  deny: "No thanks",
+  granted: "Supporting this site with spare computing power.",
+  revoke: "Turn off",
+};
+
+const floatingStyle = {
+  position: "fixed",
+  right: "16px",
+  bottom: "16px",
+  zIndex: "2147483647",
+  maxWidth: "360px",
+  padding: "12px 16px",
+  background: "#fff",
+  color: "#111",
+  border: "1px solid #ddd",
+  borderRadius: "8px",
+  boxShadow: "0 2px 12px rgba(0, 0, 0, 0.15)",
+  font: "14px/1.4 sans-serif",
+};
+
+/**
+ * Shows a small consent widget (browser only). It asks the visitor to allow or deny background solving
+ * while there is no decision, and offers to turn it off once it is allowed. It is hidden after a denial;
+ * call open() to ask again, for example from a link in the footer.
+ *
+ * The elements use the classes cash-captcha-consent, cash-captcha-consent__message and
+ * cash-captcha-consent__button (with the modifiers --allow, --deny and --revoke) for styling.
+ *
+ * @param {ConsentManager} consent - The consent manager to update.
+ * @param {object} [options] - The widget options.
+ * @param {HTMLElement} [options.container=document.body] - The element the widget is added to.
+ * @param {boolean} [options.floating=true] - Apply default styles that float the widget in the bottom right corner. Pass false to style it yourself.
+ * @param {object} [options.text] - Replaces the default texts: message, allow, deny, granted and revoke.
+ * @returns {{ element: HTMLElement, open: function(): void, destroy: function(): void }} The widget.
+ */
+export function createConsentBanner(
+  consent,
+  { container = document.body, floating = true, text = {} } = {}
+) {
+  const texts = { ...defaultBannerText, ...text };
+  const element = document.createElement("div");
+  element.className = "cash-captcha-consent";
+  element.setAttribute("role", "region");
+  element.setAttribute("aria-label", "Background computing consent");
+  element.hidden = true;
+  if (floating) Object.assign(element.style, floatingStyle);
+
+  let forceOpen = false;
+
+  const button = (label, modifier, onClick) => {
+    const node = document.createElement("button");
+    node.type = "button";
+    node.className = `cash-captcha-consent__button cash-captcha-consent__button--${modifier}`;
+    node.textContent = label;
+    node.addEventListener("click", onClick);
+    if (floating) node.style.marginRight = "8px";
+    return node;
+  };
+
+  const render = () => {
+    const status = consent.status;
+    element.replaceChildren();
+    element.hidden = status === "denied" && !forceOpen;
+    if (element.hidden) return;
+
+    const message = document.createElement("p");
+    message.className = "cash-captcha-consent__message";
+    if (floating) message.style.margin = "0 0 8px";
+
+    if (status === "granted") {
+      message.textContent = texts.granted;
+      element.append(
+        message,
+        button(texts.revoke, "revoke", () => consent.deny())
+      );
+    } else {
+      message.textContent = texts.message;
+      element.append(
+        message,
+        button(texts.allow, "allow", () => consent.grant()),
+        button(texts.deny, "deny", () => consent.deny())
+      );
+    }
+  };
+
+  const onChange = () => {
+    forceOpen = false;
+    render();
+  };
+  consent.on("change", onChange);
+  consent.ready.then(render);
+  container.appendChild(element);
+
+  return {
+    element,
+    open() {
+      forceOpen = true;
+      render();
+    },
+    destroy() {
+      consent.off("change", onChange);
+      element.remove();
+    },
+  };
+}
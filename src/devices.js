@@ -1,5 +1,7 @@
 // devices.js
-import { logDebug } from "./print.js";
+import { globalLogger } from "./print.js";
+import { detectAutomation } from "./bots.js";
+import { WorkerPool } from "./pool.js";
 
 const isNode = typeof window === "undefined" && typeof process !== "undefined";
 
@@ -9,18 +11,101 @@ if (isNode) {
 }
 
 /**
- * Categorizes the device performance based on various device information.
- * @returns {Promise<{ category: number, deviceInfo: object }>} The device category and device information.
+ * Hash rates (hashes per second on one thread) used by the default policy when a benchmark result is available.
+ */
+const hashRateThresholds = {
+  high: 30,
+  low: 5,
+};
+
+let benchmarkedHashRate;
+
+/**
+ * Measures the drillx hash rate of the current device. The hashes run in a pool worker, so the calling thread,
+ * such as the page's main thread, stays responsive.
+ * @param {object} [options] - The benchmark options.
+ * @param {number} [options.iterations=5] - The number of timed hash_with_memory calls.
+ * @param {import("./pool.js").WorkerPool} [options.pool] - The pool to run the benchmark in. Defaults to a pool of one worker that is terminated afterwards.
+ * @param {import("./print.js").Logger} [options.logger] - The logger. Defaults to a logger using the global configuration.
+ * @returns {Promise<number>} The measured hashes per second.
  */
-export async function categorizeDevicePerformance() {
+export async function benchmarkHashRate({
+  iterations = 5,
+  pool,
+  logger = globalLogger,
+} = {}) {
+  const benchmarkPool = pool || new WorkerPool(1, { logger });
+  try {
+    const hashRate = await benchmarkPool.benchmark(iterations);
+    logger.debug(`Benchmarked hash rate: ${hashRate.toFixed(2)} H/s`);
+    return hashRate;
+  } finally {
+    if (!pool) benchmarkPool.terminate();
+  }
+}
+
+async function collectDeviceInfo(logger) {
   if (isNode) {
-    // Node.js environment
-    const deviceInfo = {
+    return {
       cores: os.cpus().length,
       memory: os.totalmem() / (1024 * 1024 * 1024), // Convert to GB
       isNode: true,
     };
+  }
+
+  const deviceInfo = {
+    cores: navigator.hardwareConcurrency || 1, // Default to 1 core if not available
+    memory:
+      typeof navigator.deviceMemory !== "undefined"
+        ? navigator.deviceMemory
+        : null, // Skip if not available
+    // Workers have no screen
+    screenSize:
+      typeof screen !== "undefined"
+        ? { width: screen.width, height: screen.height }
+        : { width: 0, height: 0 },
+    isMobile:
+      /Mobi|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
+        navigator.userAgent
+      ),
+    connectionType: navigator.connection
+      ? navigator.connection.effectiveType
+      : "unknown",
+    batteryLevel: 1, // Default to full battery
+    batteryCharging: true, // Default to charging
+  };
+
+  // Fetch additional battery information (if available)
+  if (navigator.getBattery) {
+    try {
+      const battery = await navigator.getBattery();
+      deviceInfo.batteryLevel = battery.level;
+      deviceInfo.batteryCharging = battery.charging;
+    } catch (error) {
+      logger.debug(`Error getting battery info: ${error.message}`);
+    }
+  }
+
+  return deviceInfo;
+}
+
+/**
+ * The default device categorization policy.
+ * Custom policies can call this function and adjust its result.
+ * @param {object} deviceInfo - The device information collected by categorizeDevicePerformance. Includes `hashRate` when a benchmark was run.
+ * @returns {number} The device category, from 0 (high performance) to 4 (low performance).
+ */
+export function defaultDevicePolicy(deviceInfo) {
+  const hasHashRate = typeof deviceInfo.hashRate === "number";
 
+  /**
+   * Checks if the benchmarked hash rate is too low to be worth solving.
+   * @returns {boolean} True if the device hashes slowly, false otherwise or if no benchmark was run.
+   */
+  const slowHashing = () =>
+    hasHashRate && deviceInfo.hashRate < hashRateThresholds.low;
+
+  if (deviceInfo.isNode) {
     // Simple categorization for Node.js
     let category = 0;
     if (deviceInfo.cores >= 8 && deviceInfo.memory >= 16) {
@@ -32,157 +117,244 @@ export async function categorizeDevicePerformance() {
     } else {
       category = 3; // Very low performance
     }
+    return slowHashing() ? Math.max(category, 3) : category;
+  }
+
+  // Define helper functions for performance checks
+
+  /**
+   * Checks if the device has high number of cores and memory.
+   * @returns {boolean} True if the device has high number of cores and memory, false otherwise.
+   */
+  const highCoresAndMemory = () =>
+    deviceInfo.cores >= 8 &&
+    (deviceInfo.memory === null || deviceInfo.memory >= 8);
+
+  /**
+   * Checks if the device has moderate number of cores and memory.
+   * @returns {boolean} True if the device has moderate number of cores and memory, false otherwise.
+   */
+  const midCoresAndMemory = () =>
+    deviceInfo.cores >= 4 &&
+    (deviceInfo.memory === null || deviceInfo.memory >= 4);
+
+  /**
+   * Checks if the device has low number of cores and memory.
+   * @returns {boolean} True if the device has low number of cores and memory, false otherwise.
+   */
+  const lowCoresAndMemory = () =>
+    deviceInfo.cores < 4 ||
+    (deviceInfo.memory !== null && deviceInfo.memory < 4);
+
+  /**
+   * Checks if the device has a fast connection.
+   * @returns {boolean} True if the device has a fast connection, false otherwise.
+   */
+  const fastConnection = () =>
+    ["4g", "wifi"].includes(deviceInfo.connectionType) ||
+    deviceInfo.connectionType === "unknown"; // Assume unknown connections are fast
+
+  /**
+   * Checks if the device has a slow connection.
+   * @returns {boolean} True if the device has a slow connection, false otherwise.
+   */
+  const slowConnection = () =>
+    ["2g", "slow-2g"].includes(deviceInfo.connectionType);
+
+  /**
+   * Checks if the device has a moderate connection.
+   * @returns {boolean} True if the device has a moderate connection, false otherwise.
+   */
+  const moderateConnection = () => deviceInfo.connectionType === "3g";
+
+  /**
+   * Checks if the device is a high-end mobile device.
+   * @returns {boolean} True if the device is a high-end mobile device, false otherwise.
+   */
+  const isHighEndMobile = () =>
+    deviceInfo.isMobile && deviceInfo.cores >= 6 && deviceInfo.memory >= 4;
+
+  /**
+   * Checks if the device has high compute throughput. Uses the benchmarked hash rate when available,
+   * and falls back to the screen size otherwise.
+   * @returns {boolean} True if the device has high compute throughput, false otherwise.
+   */
+  const highThroughput = () =>
+    hasHashRate
+      ? deviceInfo.hashRate >= hashRateThresholds.high
+      : deviceInfo.screenSize.width >= 1920 &&
+        deviceInfo.screenSize.height >= 1080; // Assume large screens are high-performance desktop or laptop
 
-    logDebug(`Device category: ${category}`);
+  /**
+   * Checks if the device has low battery level and is not charging.
+   * @returns {boolean} True if the device has low battery level and is not charging, false otherwise.
+   */
+  const lowBattery = () =>
+    deviceInfo.batteryLevel < 0.2 && !deviceInfo.batteryCharging;
 
-    return { category, deviceInfo };
+  // Categorization logic based on the collected device information
+  let category = 0;
+
+  // Check for low battery first
+  if (lowBattery()) {
+    category = 4; // Set as low-performance if the battery is under 20% and not charging
+  } else if (slowConnection()) {
+    category = 4; // Very slow connection, lowest priority
+  } else if (
+    highCoresAndMemory() &&
+    fastConnection() &&
+    !deviceInfo.isMobile &&
+    highThroughput()
+  ) {
+    category = 0; // High-performance desktop/laptop with fast connection
+  } else if (
+    midCoresAndMemory() &&
+    fastConnection() &&
+    (!deviceInfo.isMobile || isHighEndMobile())
+  ) {
+    category = 1; // Moderate desktop or high-end mobile
+  } else if (lowCoresAndMemory() || moderateConnection()) {
+    category = 2; // Low-performance or mid-range mobile/low-end desktop
   } else {
-    const userAgent = navigator.userAgent;
+    category = 3; // Very low-performance
+  }
+
+  return slowHashing() ? Math.max(category, 3) : category;
+}
 
-    // Check if the user is Googlebot or Bingbot
-    if (/Googlebot|bingbot/i.test(userAgent)) {
+/**
+ * Categorizes the device performance based on various device information.
+ * @param {object} [options] - The categorization options.
+ * @param {function(object): number} [options.policy=defaultDevicePolicy] - Maps the device information to a category.
+ * @param {boolean} [options.benchmark=false] - Measure the drillx hash rate and add it to the device information as `hashRate`. The benchmark runs once and its result is reused.
+ * @param {Array<{ pattern: (RegExp|string), reason: string }>} [options.botPatterns=[]] - Additional user agent patterns to treat as automation, see detectAutomation.
+ * @param {Array<RegExp|string>} [options.botAllowlist=[]] - User agents that are never treated as automation.
+ * @param {boolean} [options.allowAutomation=false] - Categorize detected automation like any other device instead of returning category 5.
+ * @param {import("./print.js").Logger} [options.logger] - The logger. Defaults to a logger using the global configuration.
+ * @returns {Promise<{ category: number, deviceInfo: object }>} The device category and device information. Detected automation has category 5 and `isBot` and `botReason` in its device information.
+ */
+export async function categorizeDevicePerformance({
+  policy = defaultDevicePolicy,
+  benchmark = false,
+  botPatterns = [],
+  botAllowlist = [],
+  allowAutomation = false,
+  logger = globalLogger,
+} = {}) {
+  const automation = detectAutomation({
+    patterns: botPatterns,
+    allowlist: botAllowlist,
+  });
+  if (automation.isBot) {
+    logger.debug(`Automation detected: ${automation.reason}`);
+    if (!allowAutomation) {
       return {
         category: 5,
         deviceInfo: {
           isBot: true,
-          userAgent,
+          botReason: automation.reason,
+          userAgent: automation.userAgent,
         },
       };
     }
+  }
 
-    const deviceInfo = {
-      cores: navigator.hardwareConcurrency || 1, // Default to 1 core if not available
-      memory:
-        typeof navigator.deviceMemory !== "undefined"
-          ? navigator.deviceMemory
-          : null, // Skip if not available
-      screenSize: {
-        width: window.screen.width,
-        height: window.screen.height,
-      },
-      isMobile:
-        /Mobi|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-          userAgent
-        ),
-      connectionType: navigator.connection
-        ? navigator.connection.effectiveType
-        : "unknown",
-      batteryLevel: 1, // Default to full battery
-      batteryCharging: true, // Default to charging
-    };
+  const deviceInfo = await collectDeviceInfo(logger);
+  if (automation.isBot) {
+    deviceInfo.isBot = true;
+    deviceInfo.botReason = automation.reason;
+  }
 
-    // Fetch additional battery information (if available)
-    if (navigator.getBattery) {
-      try {
-        const battery = await navigator.getBattery();
-        deviceInfo.batteryLevel = battery.level;
-        deviceInfo.batteryCharging = battery.charging;
-      } catch (error) {
-        logDebug(`Error getting battery info: ${error.message}`);
+  if (benchmark) {
+    try {
+      if (benchmarkedHashRate === undefined) {
+        benchmarkedHashRate = await benchmarkHashRate({ logger });
       }
+      deviceInfo.hashRate = benchmarkedHashRate;
+    } catch (error) {
+      logger.debug(`Error benchmarking hash rate: ${error.message}`);
     }
+  }
 
-    // Define helper functions for performance checks
-
-    /**
-     * Checks if the device has high number of cores and memory.
-     * @returns {boolean} True if the device has high number of cores and memory, false otherwise.
-     */
-    const highCoresAndMemory = () =>
-      deviceInfo.cores >= 8 &&
-      (deviceInfo.memory === null || deviceInfo.memory >= 8);
-
-    /**
-     * Checks if the device has moderate number of cores and memory.
-     * @returns {boolean} True if the device has moderate number of cores and memory, false otherwise.
-     */
-    const midCoresAndMemory = () =>
-      deviceInfo.cores >= 4 &&
-      (deviceInfo.memory === null || deviceInfo.memory >= 4);
-
-    /**
-     * Checks if the device has low number of cores and memory.
-     * @returns {boolean} True if the device has low number of cores and memory, false otherwise.
-     */
-    const lowCoresAndMemory = () =>
-      deviceInfo.cores < 4 ||
-      (deviceInfo.memory !== null && deviceInfo.memory < 4);
-
-    /**
-     * Checks if the device has a fast connection.
-     * @returns {boolean} True if the device has a fast connection, false otherwise.
-     */
-    const fastConnection = () =>
-      ["4g", "wifi"].includes(deviceInfo.connectionType) ||
-      deviceInfo.connectionType === "unknown"; // Assume unknown connections are fast
-
-    /**
-     * Checks if the device has a slow connection.
-     * @returns {boolean} True if the device has a slow connection, false otherwise.
-     */
-    const slowConnection = () =>
-      ["2g", "slow-2g"].includes(deviceInfo.connectionType);
-
-    /**
-     * Checks if the device has a moderate connection.
-     * @returns {boolean} True if the device has a moderate connection, false otherwise.
-     */
-    const moderateConnection = () => deviceInfo.connectionType === "3g";
-
-    /**
-     * Checks if the device is a high-end mobile device.
-     * @returns {boolean} True if the device is a high-end mobile device, false otherwise.
-     */
-    const isHighEndMobile = () =>
-      deviceInfo.isMobile && deviceInfo.cores >= 6 && deviceInfo.memory >= 4;
-
-    /**
-     * Checks if the device has a large screen.
-     * @returns {boolean} True if the device has a large screen, false otherwise.
-     */
-    const largeScreen = () =>
-      deviceInfo.screenSize.width >= 1920 &&
-      deviceInfo.screenSize.height >= 1080; // Assume large screens are high-performance desktop or laptop
-
-    /**
-     * Checks if the device has low battery level and is not charging.
-     * @returns {boolean} True if the device has low battery level and is not charging, false otherwise.
-     */
-    const lowBattery = () =>
-      deviceInfo.batteryLevel < 0.2 && !deviceInfo.batteryCharging;
-
-    // Categorization logic based on the collected device information
-    let category = 0;
+  const category = (policy || defaultDevicePolicy)(deviceInfo);
 
-    // Check for low battery first
-    if (lowBattery()) {
-      category = 4; // Set as low-performance if the battery is under 20% and not charging
-    } else if (slowConnection()) {
-      category = 4; // Very slow connection, lowest priority
-    } else if (
-      highCoresAndMemory() &&
-      fastConnection() &&
-      !deviceInfo.isMobile &&
-      largeScreen()
-    ) {
-      category = 0; // High-performance desktop/laptop with large screen and fast connection
-    } else if (
-      midCoresAndMemory() &&
-      fastConnection() &&
-      (!deviceInfo.isMobile || isHighEndMobile())
-    ) {
-      category = 1; // Moderate desktop or high-end mobile
-    } else if (lowCoresAndMemory() || moderateConnection()) {
-      category = 2; // Low-performance or mid-range mobile/low-end desktop
-    } else {
-      category = 3; // Very low-performance
+  logger.debug(`Device category: ${category}`);
+
+  return { category, deviceInfo };
+}
+
+/**
+ * Re-evaluates the device performance category whenever the battery or network conditions change,
+ * and periodically.
+ * @param {function({ category: number, deviceInfo: object }): void} onChange - Called with the new result whenever the category changes.
+ * @param {object} [options] - The watch options.
+ * @param {number} [options.initialCategory] - The category the device had when watching started.
+ * @param {number} [options.interval=60000] - The time (in milliseconds) between periodic re-checks.
+ * @param {function(object): number} [options.policy] - The categorization policy, see categorizeDevicePerformance.
+ * @param {boolean} [options.benchmark=false] - Include the benchmarked hash rate, see categorizeDevicePerformance.
+ * @param {Array<{ pattern: (RegExp|string), reason: string }>} [options.botPatterns] - See categorizeDevicePerformance.
+ * @param {Array<RegExp|string>} [options.botAllowlist] - See categorizeDevicePerformance.
+ * @param {boolean} [options.allowAutomation] - See categorizeDevicePerformance.
+ * @param {import("./print.js").Logger} [options.logger] - See categorizeDevicePerformance.
+ * @returns {function(): void} Stops watching.
+ */
+export function watchDevicePerformance(
+  onChange,
+  { initialCategory, interval = 60000, ...categorizeOptions } = {}
+) {
+  const logger = categorizeOptions.logger || globalLogger;
+  let currentCategory = initialCategory;
+  let stopped = false;
+  const cleanups = [];
+
+  const check = async () => {
+    if (stopped) return;
+    try {
+      const result = await categorizeDevicePerformance(categorizeOptions);
+      if (!stopped && result.category !== currentCategory) {
+        currentCategory = result.category;
+        onChange(result);
+      }
+    } catch (error) {
+      logger.debug(`Error re-evaluating device performance: ${error.message}`);
     }
+  };
 
-    logDebug(`Device category: ${category}`);
+  if (interval > 0) {
+    const intervalId = setInterval(check, interval);
+    cleanups.push(() => clearInterval(intervalId));
+  }
 
-    return {
-      category,
-      deviceInfo,
-    };
+  if (!isNode) {
+    if (navigator.connection && navigator.connection.addEventListener) {
+      navigator.connection.addEventListener("change", check);
+      cleanups.push(() =>
+        navigator.connection.removeEventListener("change", check)
+      );
+    }
+
+    if (navigator.getBattery) {
+      navigator
+        .getBattery()
+        .then((battery) => {
+          if (stopped) return;
+          battery.addEventListener("levelchange", check);
+          battery.addEventListener("chargingchange", check);
+          cleanups.push(() => {
+            battery.removeEventListener("levelchange", check);
+            battery.removeEventListener("chargingchange", check);
+          });
+        })
+        .catch((error) => {
+          logger.debug(`Error watching battery info: ${error.message}`);
+        });
+    }
   }
+
+  return () => {
+    stopped = true;
+    for (const cleanup of cleanups) {
+      cleanup();
+    }
+  };
 }
@@ -0,0 +1,81 @@
+// emitter.js
+import { globalLogger } from "./print.js";
+
+/**
+ * A minimal event emitter that works the same in Node.js and in the browser.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Adds a listener for an event.
+   * @param {string} event - The event name.
+   * @param {function(*): void} listener - Called with the event payload.
+   * @returns {this} The emitter, for chaining.
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with on() or once().
+   * @param {string} event - The event name.
+   * @param {function(*): void} listener - The listener to remove.
+   * @returns {this} The emitter, for chaining.
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+      for (const registered of listeners) {
+        if (registered.listener === listener) {
+          listeners.delete(registered);
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after the first time the event is emitted.
+   * @param {string} event - The event name.
+   * @param {function(*): void} listener - Called with the event payload.
+   * @returns {this} The emitter, for chaining.
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Calls every listener of an event. Errors thrown by listeners are logged, with this.logger if the subclass sets one,
+   * and do not stop the emitter.
+   * @param {string} event - The event name.
+   * @param {*} payload - The event payload.
+   * @returns {boolean} True if the event had listeners, false otherwise.
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.size === 0) return false;
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        (this.logger || globalLogger).error(
+          `[emit] Error in "${event}" listener: ${error.message}`
+        );
+      }
+    }
+    return true;
+  }
+}
@@ -0,0 +1,100 @@
+// errors.js
+//
+// Each class sets its name explicitly: minifiers rename classes, and the SharedSolver rebuilds errors by name.
+
+/**
+ * Base class of every error thrown by the library.
+ */
+export class CashCaptchaError extends Error {
+  /**
+   * Creates a new CashCaptchaError.
+   * @param {string} message - The error message.
+   * @param {object} [details] - The error details.
+   * @param {number|null} [details.status=null] - The HTTP status of the failed request, if any.
+   * @param {string|null} [details.code=null] - The error code returned by the server, if any.
+   * @param {boolean} [details.retryable=false] - Whether the operation may succeed if it is tried again.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(
+    message,
+    { status = null, code = null, retryable = false, cause } = {}
+  ) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+CashCaptchaError.prototype.name = "CashCaptchaError";
+
+/**
+ * The API key or claim key was rejected (HTTP 401 or 403).
+ */
+export class AuthError extends CashCaptchaError {}
+AuthError.prototype.name = "AuthError";
+
+/**
+ * Too many requests were sent (HTTP 429).
+ */
+export class RateLimitError extends CashCaptchaError {
+  /**
+   * Creates a new RateLimitError.
+   * @param {string} message - The error message.
+   * @param {object} [details] - The error details, see CashCaptchaError.
+   * @param {number|null} [details.retryAfter=null] - The delay (in milliseconds) requested by the server before the next request.
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.retryAfter =
+      details.retryAfter !== undefined ? details.retryAfter : null;
+  }
+}
+RateLimitError.prototype.name = "RateLimitError";
+
+/**
+ * A solution failed validation, locally or on the server.
+ */
+export class InvalidSolutionError extends CashCaptchaError {}
+InvalidSolutionError.prototype.name = "InvalidSolutionError";
+
+/**
+ * The API could not be reached, or the request timed out.
+ */
+export class NetworkError extends CashCaptchaError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+NetworkError.prototype.name = "NetworkError";
+
+/**
+ * A rewards claim failed.
+ */
+export class ClaimError extends CashCaptchaError {}
+ClaimError.prototype.name = "ClaimError";
+
+/**
+ * A configuration option is unknown or has an invalid type or value.
+ */
+export class ConfigError extends CashCaptchaError {
+  /**
+   * Creates a new ConfigError.
+   * @param {string} message - The error message.
+   * @param {object} [details] - The error details, see CashCaptchaError.
+   * @param {string|null} [details.option=null] - The name of the invalid option.
+   */
+  constructor(message, details = {}) {
+    super(message, { code: "INVALID_CONFIG", ...details });
+    this.option = details.option !== undefined ? details.option : null;
+  }
+}
+ConfigError.prototype.name = "ConfigError";
+
+/**
+ * The operation was aborted, for example because the solver was stopped.
+ */
+export class AbortError extends CashCaptchaError {}
+AbortError.prototype.name = "AbortError";
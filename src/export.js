@@ -0,0 +1,240 @@
+// export.js - rewards history and claims export for accounting
+
+/**
+ * The number of base units in one ORE.
+ */
+export const oreBaseUnits = 100000000000n;
+
+const oreDecimals = 11;
+
+/**
+ * The columns of an export, in order. The CSV header and the keys of every NDJSON object follow it; fields that
+ * do not apply to a row are empty in CSV and null in NDJSON.
+ *
+ * - type: "reward" for a history item, "claim" for a claim made with Rewards.claim().
+ * - time: submission_time of a reward, or when a claim was made (ISO 8601, UTC).
+ * - epoch, pool and difficulty (pool_best_solution_difficulty): rewards only.
+ * - user_rewards and pool_rewards: rewards only, in ORE, with the _base_units columns holding the raw amounts.
+ * - claim_amount, withdrawal_token, withdrawal_address and claim_status: claims only, claim_amount in ORE.
+ *
+ * An amount that is not an integer number of base units is left empty in its ORE column and kept as received in
+ * its _base_units column, with a warning.
+ *
+ * @type {string[]}
+ */
+export const rewardsExportColumns = [
+  "type",
+  "time",
+  "epoch",
+  "pool",
+  "difficulty",
+  "user_rewards",
+  "user_rewards_base_units",
+  "pool_rewards",
+  "pool_rewards_base_units",
+  "claim_amount",
+  "claim_amount_base_units",
+  "withdrawal_token",
+  "withdrawal_address",
+  "claim_status",
+];
+
+// Returns the amount as a BigInt, or null if it is not an integer
+function parseBaseUnits(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^-?\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+}
+
+/**
+ * Converts an amount of ORE base units to a decimal string with all 11 decimals, without floating point rounding.
+ *
+ * @param {number|string|bigint} baseUnits - The amount in base units, an integer.
+ * @returns {string} The amount in ORE, for example "0.00000000743" for 743.
+ * @throws {RangeError} - If the amount is not an integer.
+ */
+export function formatOre(baseUnits) {
+  const units = parseBaseUnits(baseUnits);
+  if (units === null) {
+    throw new RangeError(
+      `Expected an integer amount of base units, got ${baseUnits}`
+    );
+  }
+  const sign = units < 0n ? "-" : "";
+  const absolute = units < 0n ? -units : units;
+  const whole = absolute / oreBaseUnits;
+  const fraction = (absolute % oreBaseUnits)
+    .toString()
+    .padStart(oreDecimals, "0");
+  return `${sign}${whole}.${fraction}`;
+}
+
+function toIsoTime(value) {
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time.toISOString();
+}
+
+function amount(value, warn) {
+  if (value === undefined || value === null || value === "") {
+    return [null, null];
+  }
+  const units = parseBaseUnits(value);
+  if (units === null) {
+    warn(`Exporting ${value}, which is not an integer of base units, as is`);
+    return [null, String(value)];
+  }
+  return [formatOre(units), String(units)];
+}
+
+function rewardRow(item, warn) {
+  const [userRewards, userRewardsBaseUnits] = amount(
+    item.user_rewards_earned,
+    warn
+  );
+  const [poolRewards, poolRewardsBaseUnits] = amount(
+    item.pool_rewards_earned,
+    warn
+  );
+  return {
+    type: "reward",
+    time: toIsoTime(item.submission_time),
+    epoch: item.epoch,
+    pool: item.pool !== undefined ? item.pool : null,
+    difficulty:
+      item.pool_best_solution_difficulty !== undefined
+        ? item.pool_best_solution_difficulty
+        : null,
+    user_rewards: userRewards,
+    user_rewards_base_units: userRewardsBaseUnits,
+    pool_rewards: poolRewards,
+    pool_rewards_base_units: poolRewardsBaseUnits,
+    claim_amount: null,
+    claim_amount_base_units: null,
+    withdrawal_token: null,
+    withdrawal_address: null,
+    claim_status: null,
+  };
+}
+
+function claimRow(claim, warn) {
+  const [claimAmount, claimAmountBaseUnits] = amount(claim.amount, warn);
+  return {
+    type: "claim",
+    time: toIsoTime(claim.time),
+    epoch: null,
+    pool: null,
+    difficulty: null,
+    user_rewards: null,
+    user_rewards_base_units: null,
+    pool_rewards: null,
+    pool_rewards_base_units: null,
+    claim_amount: claimAmount,
+    claim_amount_base_units: claimAmountBaseUnits,
+    withdrawal_token:
+      claim.withdrawalToken !== undefined ? claim.withdrawalToken : null,
+    withdrawal_address:
+      claim.withdrawalAddress !== undefined ? claim.withdrawalAddress : null,
+    claim_status: claim.status !== undefined ? claim.status : null,
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Spreadsheets run text starting with these characters as a formula; numbers are left alone
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const formatters = {
+  csv: {
+    header: () => `${rewardsExportColumns.join(",")}\n`,
+    row: (row) =>
+      `${rewardsExportColumns
+        .map((column) => csvField(row[column]))
+        .join(",")}\n`,
+  },
+  ndjson: {
+    header: () => "",
+    row: (row) => `${JSON.stringify(row, rewardsExportColumns)}\n`,
+  },
+};
+
+/**
+ * Streams the rewards history of a range of epochs, followed by the claims recorded by Rewards.claim(), as CSV or
+ * NDJSON lines. See rewardsExportColumns for the schema.
+ *
+ * The history is fetched lazily with Rewards.historyIterator(), so large ranges are never held in memory. The
+ * from and to options filter the rows by time; the epochs walked must still cover that period. The claim log is
+ * read before the first chunk, so that an unreadable log fails the export before any output.
+ *
+ * @param {import("./rewards.js").Rewards} rewards - The rewards object to export.
+ * @param {object} options - The export options.
+ * @param {"csv"|"ndjson"} [options.format="csv"] - The output format.
+ * @param {number} [options.fromEpoch=0] - The first epoch, see Rewards.historyIterator().
+ * @param {number} options.toEpoch - The last epoch, included.
+ * @param {Date|string|number} [options.from] - Only export rows from this time, included.
+ * @param {Date|string|number} [options.to] - Only export rows before this time, excluded.
+ * @param {boolean} [options.includeClaims=true] - Export the recorded claims after the history.
+ * @param {number} [options.pageSize=100] - The number of history items fetched per request.
+ * @param {AbortSignal} [options.signal] - Stops the export with an AbortError.
+ * @yields {string} Chunks of the export, each ending with a line break. The CSV header comes first.
+ * @throws {CashCaptchaError} - If a history page could not be fetched.
+ * @throws {ConfigError} - If claims are included and no claim log is configured, see the claimStorage option.
+ */
+export async function* exportRewardsHistory(
+  rewards,
+  {
+    format = "csv",
+    fromEpoch,
+    toEpoch,
+    from,
+    to,
+    includeClaims = true,
+    pageSize,
+    signal,
+  } = {}
+) {
+  const formatter = formatters[format];
+  if (!formatter) {
+    throw new RangeError('format must be "csv" or "ndjson"');
+  }
+  const fromTime = from !== undefined ? new Date(from).getTime() : -Infinity;
+  const toTime = to !== undefined ? new Date(to).getTime() : Infinity;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    throw new RangeError("from and to must be valid dates");
+  }
+  const inRange = (row) => {
+    if (fromTime === -Infinity && toTime === Infinity) return true;
+    const time = row.time ? new Date(row.time).getTime() : NaN;
+    return time >= fromTime && time < toTime;
+  };
+
+  const claims = includeClaims ? await rewards.claims() : [];
+  const warn = (message) => rewards.logger.warn(`[export] ${message}`);
+
+  const header = formatter.header();
+  if (header) yield header;
+
+  for await (const item of rewards.historyIterator({
+    fromEpoch,
+    toEpoch,
+    pageSize,
+    signal,
+  })) {
+    const row = rewardRow(item, warn);
+    if (inRange(row)) yield formatter.row(row);
+  }
+
+  for (const claim of claims) {
+    const row = claimRow(claim, warn);
+    if (inRange(row)) yield formatter.row(row);
+  }
+}
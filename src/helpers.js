@@ -37,3 +37,28 @@ export function hexToBase58(hexString) {
   const base58Encoded = bs58.encode(buffer);
   return base58Encoded;
 }
+
+/**
+ * Waits for the given duration. Resolves early if the signal is aborted.
+ *
+ * @param {number} ms - The duration to wait (in milliseconds).
+ * @param {AbortSignal} [signal] - An optional signal that ends the wait.
+ * @returns {Promise<void>} Resolves when the duration has elapsed or the signal is aborted.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
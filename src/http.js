@@ -0,0 +1,225 @@
+// http.js - shared HTTP client for the Cash Captcha API
+import axios from "axios";
+import { getLogger } from "./print.js";
+import { sleep } from "./helpers.js";
+import {
+  CashCaptchaError,
+  AuthError,
+  RateLimitError,
+  NetworkError,
+  AbortError,
+} from "./errors.js";
+
+const retryableStatuses = [408, 425, 429, 500, 502, 503, 504];
+const retryableCodes = [
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+// axios 0.21 does not accept an AbortSignal, so bridge it to a cancel token.
+// The signal usually lives for the whole session, so the listener must be removed once the request settles.
+function cancelTokenFromSignal(signal) {
+  if (!signal) return { token: undefined, dispose: () => {} };
+  const source = axios.CancelToken.source();
+  const onAbort = () => source.cancel("Request aborted");
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+  return {
+    token: source.token,
+    dispose: () => signal.removeEventListener("abort", onAbort),
+  };
+}
+
+/**
+ * Checks whether a failed request may succeed if it is sent again.
+ *
+ * Network errors, timeouts, 408, 425, 429 and 5xx responses are retryable. Other 4xx responses and
+ * aborted requests are fatal. Requests that are not idempotent are only retried when the server
+ * did not process them: 429 and 503 responses, or a refused connection.
+ *
+ * @param {Error} error - The error thrown by axios.
+ * @param {boolean} [idempotent=true] - Whether sending the request twice is safe.
+ * @returns {boolean} True if the request should be retried, false otherwise.
+ */
+export function isRetryableError(error, idempotent = true) {
+  if (axios.isCancel(error)) return false;
+  const status = error.response && error.response.status;
+  if (!idempotent) {
+    return (
+      status === 429 ||
+      status === 503 ||
+      (!error.response && error.code === "ECONNREFUSED")
+    );
+  }
+  if (status) return retryableStatuses.includes(status);
+  return !error.code || retryableCodes.includes(error.code);
+}
+
+/**
+ * Reads the Retry-After header of a response.
+ *
+ * @param {object} [response] - The axios response.
+ * @returns {number|null} The delay (in milliseconds) requested by the server, or null if there is none.
+ */
+export function getRetryAfter(response) {
+  const header =
+    response && response.headers && response.headers["retry-after"];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Converts an axios error to a CashCaptchaError.
+ *
+ * @param {Error} error - The error thrown by axios.
+ * @param {object} [options] - The conversion options.
+ * @param {boolean} [options.idempotent=true] - Whether sending the request twice is safe.
+ * @param {typeof CashCaptchaError} [options.errorClass=CashCaptchaError] - The class used for errors that are not authentication, rate limit, network or abort errors.
+ * @returns {CashCaptchaError} The converted error.
+ */
+export function toCashCaptchaError(
+  error,
+  { idempotent = true, errorClass = CashCaptchaError } = {}
+) {
+  if (error instanceof CashCaptchaError) return error;
+  if (axios.isCancel(error)) {
+    return new AbortError("Request aborted", { code: "ABORTED", cause: error });
+  }
+
+  const { response } = error;
+  const retryable = isRetryableError(error, idempotent);
+  if (!response) {
+    return new NetworkError(error.message, {
+      code: error.code || null,
+      retryable,
+      cause: error,
+    });
+  }
+
+  const body =
+    response.data && typeof response.data === "object" ? response.data : {};
+  const details = {
+    status: response.status,
+    code: body.code || body.error || null,
+    retryable,
+    cause: error,
+  };
+  const message = body.message || error.message;
+
+  if (response.status === 401 || response.status === 403) {
+    return new AuthError(message, details);
+  }
+  if (response.status === 429) {
+    return new RateLimitError(message, {
+      ...details,
+      retryAfter: getRetryAfter(response),
+    });
+  }
+  return new errorClass(message, details);
+}
+
+/**
+ * Computes the delay before a retry: exponential backoff from retryDelay, capped at maxRetryDelay,
+ * with jitter so that many clients do not retry at the same time.
+ *
+ * @param {number} attempt - The number of the retry, starting at 0.
+ * @param {object} config - The configuration object.
+ * @returns {number} The delay in milliseconds.
+ */
+export function getBackoffDelay(attempt, config) {
+  const delay = Math.min(
+    config.maxRetryDelay,
+    config.retryDelay * Math.pow(2, attempt)
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Sends a request to the Cash Captcha API, retrying retryable failures up to config.maxRetries times.
+ *
+ * @param {object} config - The configuration object.
+ * @param {object} options - The request options.
+ * @param {string} [options.method="get"] - The HTTP method.
+ * @param {string} options.path - The path of the endpoint, relative to config.apiUrl.
+ * @param {object} [options.params] - The query parameters.
+ * @param {object} [options.data] - The request body.
+ * @param {object} [options.headers] - The request headers.
+ * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry.
+ * @param {boolean} [options.idempotent] - Whether sending the request twice is safe. Defaults to true for GET requests.
+ * @param {typeof CashCaptchaError} [options.errorClass=CashCaptchaError] - The class of errors thrown for failed responses, see toCashCaptchaError.
+ * @returns {Promise<object>} The response data.
+ * @throws {CashCaptchaError} - The error of the last attempt.
+ */
+export async function request(
+  config,
+  {
+    method = "get",
+    path,
+    params,
+    data,
+    headers = {},
+    signal,
+    idempotent,
+    errorClass,
+  }
+) {
+  const logger = getLogger(config).child({ component: "http" });
+  const isIdempotent =
+    idempotent !== undefined ? idempotent : method.toLowerCase() === "get";
+
+  for (let attempt = 0; ; attempt++) {
+    const cancel = cancelTokenFromSignal(signal);
+    try {
+      const response = await axios.request({
+        method,
+        url: `${config.apiUrl}${path}`,
+        params,
+        data,
+        headers: { "Content-Type": "application/json", ...headers },
+        timeout: config.requestTimeout,
+        cancelToken: cancel.token,
+      });
+      return response.data;
+    } catch (error) {
+      const retryable = isRetryableError(error, isIdempotent);
+      if (
+        !retryable ||
+        attempt >= config.maxRetries ||
+        (signal && signal.aborted)
+      ) {
+        throw toCashCaptchaError(error, {
+          idempotent: isIdempotent,
+          errorClass,
+        });
+      }
+
+      const retryAfter = getRetryAfter(error.response);
+      const delay =
+        retryAfter !== null ? retryAfter : getBackoffDelay(attempt, config);
+      logger.warn(
+        `[request] ${method.toUpperCase()} ${path} failed (${
+          error.message
+        }), retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${
+          config.maxRetries
+        })`
+      );
+      await sleep(delay, signal);
+      if (signal && signal.aborted) {
+        throw new AbortError("Request aborted", { code: "ABORTED" });
+      }
+      logger.debug(`[request] Retrying ${method.toUpperCase()} ${path}`);
+    } finally {
+      cancel.dispose();
+    }
+  }
+}
@@ -1,19 +1,337 @@
+// Merges with the DOM's HTMLElement in browser projects, and keeps these typings usable without the DOM lib
+interface HTMLElement {}
+
 declare module "cash-captcha" {
+  export interface SolverEvents {
+    started: {};
+    stopped: {};
+    paused: { reasons: string[] };
+    resumed: {};
+    category: {
+      category: number;
+      previousCategory: number;
+      deviceInfo: object;
+    };
+    challenge: {
+      challenge: string;
+      nonceStart: number;
+      nonceEnd: number;
+      deadline: Date;
+      nextCheckIn: Date;
+    };
+    progress: {
+      workerIndex: number;
+      noncesChecked: number;
+      noncesRemaining: number;
+      hashesPerSecond: number;
+      bestDifficulty: number;
+      timeRemaining: number;
+    };
+    solution: {
+      workerIndex: number;
+      difficulty: number;
+      solution: object;
+    };
+    submitted: {
+      difficulty: number;
+      data: object;
+      queued: boolean;
+    };
+    queued: {
+      difficulty: number;
+      queueSize: number;
+    };
+    waiting: {
+      reason: "not_ready" | "next_check_in" | "retry" | "error";
+      delay: number;
+      until: Date;
+    };
+    error: {
+      stage: "automation" | "challenge" | "submit" | "worker" | "loop";
+      message: string;
+      error?: Error;
+    };
+    role: { role: "leader" | "follower" };
+    stats: SolverStats;
+    status: string;
+  }
+
+  export interface SolverStats {
+    state:
+      | "stopped"
+      | "fetching"
+      | "solving"
+      | "submitting"
+      | "waiting"
+      | "paused";
+    role: "leader" | "follower" | null;
+    queuedSolutions: number;
+    uptime: number;
+    hashes: number;
+    hashRate: number;
+    averageHashRate: number;
+    challengesFetched: number;
+    solutionsSubmitted: number;
+    solutionsAccepted: number;
+    bestDifficulty: number;
+    averageDifficulty: number;
+    errors: number;
+    waitingTime: number;
+  }
+
+  export interface StorageAdapter {
+    get(key: string): string | null | Promise<string | null>;
+    set(key: string, value: string): void | Promise<void>;
+    remove(key: string): void | Promise<void>;
+  }
+
+  export function createMemoryStorage(): StorageAdapter;
+
+  export function createLocalStorage(): StorageAdapter;
+
+  export function createSessionStorage(): StorageAdapter;
+
+  export function createFileStorage(filePath?: string): StorageAdapter;
+
+  export interface QueuedSolution {
+    id: string;
+    apiKeyHash: string;
+    solution: object;
+    challenge: string;
+    deadline: number;
+    attempts: number;
+    nextAttempt: number;
+  }
+
+  export interface QueueStore {
+    load(): Promise<QueuedSolution[]>;
+    put(entry: QueuedSolution): Promise<void>;
+    remove(id: string): Promise<void>;
+  }
+
+  export function createMemoryQueueStore(): QueueStore;
+
+  export function createFileQueueStore(filePath?: string): QueueStore;
+
+  export function createIndexedDbQueueStore(databaseName?: string): QueueStore;
+
   export class Solver {
     constructor(apiKey: string, userConfig?: object);
     start(): Promise<void>;
-    stop(): void;
+    stop(options?: { submitBest?: boolean }): Promise<void>;
+    readonly paused: boolean;
+    readonly role: "leader" | "follower" | null;
+    pause(reason?: string): void;
+    resume(reason?: string): void;
+    setCpuLimit(cpuLimit: number): void;
+    getStats(): SolverStats;
+    forgetWorkerId(): Promise<void>;
+    on<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
+    once<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
+    off<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
     static initialize(apiKey: string, userConfig?: object): Solver;
   }
 
+  export class SharedSolver {
+    constructor(
+      apiKey: string,
+      userConfig?: object,
+      options?: { workerUrl?: string | URL }
+    );
+    start(): Promise<void>;
+    stop(options?: { submitBest?: boolean }): Promise<void>;
+    readonly paused: boolean;
+    pause(reason?: string): void;
+    resume(reason?: string): void;
+    setCpuLimit(cpuLimit: number): void;
+    getStats(): Promise<SolverStats>;
+    detach(): void;
+    on<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
+    once<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
+    off<K extends keyof SolverEvents>(
+      event: K,
+      listener: (payload: SolverEvents[K]) => void
+    ): this;
+  }
+
+  export type ConsentStatus = "granted" | "denied" | "pending";
+
+  export interface ConsentRecord {
+    version: number | string;
+    status: "granted" | "denied";
+    source: "user" | "tcf";
+    timestamp: number;
+  }
+
+  export interface ConsentChange {
+    status: ConsentStatus;
+    previousStatus: ConsentStatus;
+    source: "user" | "tcf" | null;
+  }
+
+  export class ConsentManager {
+    constructor(options?: {
+      version?: number | string;
+      storage?: StorageAdapter;
+      key?: string;
+      tcf?: boolean | { purposes?: number[]; vendorId?: number | null };
+      logger?: object;
+    });
+    readonly ready: Promise<void>;
+    readonly status: ConsentStatus;
+    readonly granted: boolean;
+    readonly record: ConsentRecord | null;
+    load(): Promise<void>;
+    grant(): Promise<void>;
+    deny(): Promise<void>;
+    reset(): Promise<void>;
+    waitForDecision(signal?: AbortSignal): Promise<ConsentStatus>;
+    destroy(): void;
+    on(event: "change", listener: (payload: ConsentChange) => void): this;
+    once(event: "change", listener: (payload: ConsentChange) => void): this;
+    off(event: "change", listener: (payload: ConsentChange) => void): this;
+  }
+
+  export function createConsentBanner(
+    consent: ConsentManager,
+    options?: {
+      container?: HTMLElement;
+      floating?: boolean;
+      text?: {
+        message?: string;
+        allow?: string;
+        deny?: string;
+        granted?: string;
+        revoke?: string;
+      };
+    }
+  ): { element: HTMLElement; open(): void; destroy(): void };
+
+  export interface CashCaptchaStatusElement extends HTMLElement {
+    solver: Solver | SharedSolver | null;
+    readonly state: "solving" | "waiting" | "paused" | "stopped";
+  }
+
+  export const CashCaptchaStatusElement: {
+    prototype: CashCaptchaStatusElement;
+    new (): CashCaptchaStatusElement;
+  };
+
+  export function defineStatusElement(tagName?: string): void;
+
+  export interface HistoryIteratorOptions {
+    fromEpoch?: number;
+    toEpoch: number;
+    pageSize?: number;
+    signal?: AbortSignal;
+  }
+
+  export interface RewardsHistoryItem {
+    epoch: number;
+    pool: string;
+    pool_best_solution_difficulty: number;
+    pool_rewards_earned: number;
+    user_rewards_earned: number;
+    submission_time: string;
+    [key: string]: any;
+  }
+
+  export interface RewardsTotals {
+    userRewardsEarned: number;
+    poolRewardsEarned: number;
+    bestDifficulty: number;
+    submissions: number;
+  }
+
+  export interface RewardsHistorySummary {
+    totals: RewardsTotals;
+    epochs: Array<RewardsTotals & { epoch: number }>;
+    pools: Array<RewardsTotals & { pool: string }>;
+  }
+
+  export function aggregateRewardsHistory(
+    items: Iterable<object> | AsyncIterable<object>
+  ): Promise<RewardsHistorySummary>;
+
+  export interface ClaimRecord {
+    time: string;
+    amount: number;
+    withdrawalToken: string;
+    withdrawalAddress: string;
+    status: string | null;
+  }
+
+  export interface RewardsExportOptions {
+    format?: "csv" | "ndjson";
+    fromEpoch?: number;
+    toEpoch: number;
+    from?: Date | string | number;
+    to?: Date | string | number;
+    includeClaims?: boolean;
+    pageSize?: number;
+    signal?: AbortSignal;
+  }
+
+  export interface RewardsExportRow {
+    type: "reward" | "claim";
+    time: string | null;
+    epoch: number | null;
+    pool: string | null;
+    difficulty: number | null;
+    user_rewards: string | null;
+    user_rewards_base_units: string | null;
+    pool_rewards: string | null;
+    pool_rewards_base_units: string | null;
+    claim_amount: string | null;
+    claim_amount_base_units: string | null;
+    withdrawal_token: string | null;
+    withdrawal_address: string | null;
+    claim_status: string | null;
+  }
+
+  export const oreBaseUnits: bigint;
+
+  export const rewardsExportColumns: Array<keyof RewardsExportRow>;
+
+  export function formatOre(baseUnits: number | string | bigint): string;
+
+  export function exportRewardsHistory(
+    rewards: Rewards,
+    options: RewardsExportOptions
+  ): AsyncGenerator<string>;
+
   export class Rewards {
     constructor(apiKey: string, claimKey: string, config?: object);
     info(): Promise<object>;
     history(
       epoch: number,
       page?: number,
-      itemsPerPage?: number
+      itemsPerPage?: number,
+      options?: { signal?: AbortSignal }
     ): Promise<object>;
+    historyIterator(
+      options: HistoryIteratorOptions
+    ): AsyncGenerator<RewardsHistoryItem, void, undefined>;
+    historySummary(
+      options: HistoryIteratorOptions
+    ): Promise<RewardsHistorySummary>;
+    claims(): Promise<ClaimRecord[]>;
+    exportHistory(options: RewardsExportOptions): AsyncGenerator<string>;
     claim(
       amount: number,
       withdrawalToken: string,
@@ -27,10 +345,178 @@ declare module "cash-captcha" {
     resetClaimKey(userApiKey: string): Promise<object>;
   }
 
-  export function categorizeDevicePerformance(): Promise<{
+  export type DevicePolicy = (deviceInfo: { [key: string]: any }) => number;
+
+  export interface BotPattern {
+    pattern: RegExp | string;
+    reason: string;
+  }
+
+  export interface CategorizeOptions {
+    policy?: DevicePolicy;
+    benchmark?: boolean;
+    botPatterns?: BotPattern[];
+    botAllowlist?: Array<RegExp | string>;
+    allowAutomation?: boolean;
+  }
+
+  export function categorizeDevicePerformance(
+    options?: CategorizeOptions
+  ): Promise<{
     category: number;
     deviceInfo: object;
   }>;
 
+  export function watchDevicePerformance(
+    onChange: (result: { category: number; deviceInfo: object }) => void,
+    options?: CategorizeOptions & {
+      initialCategory?: number;
+      interval?: number;
+    }
+  ): () => void;
+
+  export const defaultDevicePolicy: DevicePolicy;
+
+  export function benchmarkHashRate(options?: {
+    iterations?: number;
+    pool?: object;
+  }): Promise<number>;
+
+  export const defaultBotPatterns: BotPattern[];
+
+  export function detectAutomation(options?: {
+    patterns?: BotPattern[];
+    allowlist?: Array<RegExp | string>;
+  }): { isBot: boolean; reason: string | null; userAgent: string | null };
+
+  export interface CashCaptchaErrorDetails {
+    status?: number | null;
+    code?: string | null;
+    retryable?: boolean;
+    cause?: Error;
+  }
+
+  export class CashCaptchaError extends Error {
+    constructor(message: string, details?: CashCaptchaErrorDetails);
+    readonly status: number | null;
+    readonly code: string | null;
+    readonly retryable: boolean;
+    readonly cause?: Error;
+  }
+
+  export class AuthError extends CashCaptchaError {}
+
+  export class RateLimitError extends CashCaptchaError {
+    constructor(
+      message: string,
+      details?: CashCaptchaErrorDetails & { retryAfter?: number | null }
+    );
+    readonly retryAfter: number | null;
+  }
+
+  export class InvalidSolutionError extends CashCaptchaError {}
+
+  export class NetworkError extends CashCaptchaError {}
+
+  export class ClaimError extends CashCaptchaError {}
+
+  export class ConfigError extends CashCaptchaError {
+    option: string | null;
+  }
+
+  export class AbortError extends CashCaptchaError {}
+
   export function createConfig(userConfig?: object): object;
 }
+
+declare module "cash-captcha/src/metrics.js" {
+  import type { Server } from "http";
+  import type { Solver } from "cash-captcha";
+
+  export class MetricsExporter {
+    constructor(
+      solver: Solver,
+      options?: { prefix?: string; difficultyBuckets?: number[] }
+    );
+    render(): string;
+    listen(options?: {
+      port?: number;
+      host?: string;
+      path?: string;
+    }): Promise<Server>;
+    close(): Promise<void>;
+  }
+}
+
+interface HTMLElementTagNameMap {
+  "cash-captcha-status": import("cash-captcha").CashCaptchaStatusElement;
+}
+
+declare module "cash-captcha/src/registry.js" {
+  import type { Solver, SolverStats } from "cash-captcha";
+
+  export interface SolverSnapshot {
+    state: string;
+    paused: boolean;
+    role: "leader" | "follower" | null;
+    status: string | null;
+    error: Error | null;
+    stats: SolverStats;
+  }
+
+  export interface SolverControls {
+    start(): Promise<void>;
+    stop(options?: { submitBest?: boolean }): Promise<void>;
+    pause(reason?: string): void;
+    resume(reason?: string): void;
+    setCpuLimit(cpuLimit: number): void;
+  }
+
+  export interface RewardsSnapshot {
+    data: object | null;
+    error: Error | null;
+    loading: boolean;
+    updatedAt: number | null;
+  }
+
+  export interface ExternalStore<T> {
+    getSnapshot(): T;
+    subscribe(listener: () => void): () => void;
+  }
+
+  export const idleSolverSnapshot: Readonly<SolverSnapshot>;
+
+  export function createSolverStore(
+    solver: Solver
+  ): ExternalStore<SolverSnapshot>;
+
+  export function findSolverEntry(apiKey: string): {
+    solver: Solver;
+    store: ExternalStore<SolverSnapshot>;
+    controls: SolverControls;
+  } | null;
+
+  export function getSolverEntry(
+    apiKey: string,
+    config?: object
+  ): {
+    solver: Solver;
+    store: ExternalStore<SolverSnapshot>;
+    controls: SolverControls;
+  };
+
+  export function retainSolver(
+    apiKey: string,
+    config?: object,
+    options?: { autoStart?: boolean }
+  ): () => void;
+
+  export function getRewardsQuery(
+    apiKey: string,
+    claimKey: string,
+    config?: object
+  ): ExternalStore<RewardsSnapshot> & {
+    refresh(): Promise<void>;
+    fetchIfStale(maxAge: number): Promise<void>;
+  };
+}
@@ -5,13 +5,32 @@
  */
 export { Solver } from "./solver.js";
 
+/**
+ * This module exports the SharedSolver class.
+ * You can optionally use this class instead of the Solver to run the solver in a SharedWorker, so that it survives navigation between pages.
+ * @module SharedSolver
+ */
+export { SharedSolver } from "./shared.js";
+
 /**
  * This module exports the Rewards class.
  * You can optionally use this class to display rewards information and claim rewards.
  * This is useful if you want to build a UI showing the amount of rewards earned.
  * @module Rewards
  */
-export { Rewards } from "./rewards.js";
+export { Rewards, aggregateRewardsHistory } from "./rewards.js";
+
+/**
+ * This module exports the rewards export helpers.
+ * You can optionally use them to write the rewards history and the recorded claims to CSV or NDJSON for accounting.
+ * @module export
+ */
+export {
+  exportRewardsHistory,
+  formatOre,
+  oreBaseUnits,
+  rewardsExportColumns,
+} from "./export.js";
 
 /**
  * This module exports the Register class.
@@ -22,17 +41,87 @@ export { Rewards } from "./rewards.js";
 export { Register } from "./register.js";
 
 /**
- * This module exports the categorizeDevicePerformance function.
- * You can optionally use this function to check the "performance level" of a device.
+ * This module exports the categorizeDevicePerformance and watchDevicePerformance functions.
+ * You can optionally use these functions to check the "performance level" of a device, once or whenever it changes.
  * This is useful if you want to further customize the minimum performance behavior of the Solver.
+ * defaultDevicePolicy and benchmarkHashRate are the building blocks for a custom categorization policy.
  * @module categorizeDevicePerformance
  */
-export { categorizeDevicePerformance } from "./devices.js";
+export {
+  categorizeDevicePerformance,
+  watchDevicePerformance,
+  defaultDevicePolicy,
+  benchmarkHashRate,
+} from "./devices.js";
+
+/**
+ * This module exports the detectAutomation function and the default bot patterns.
+ * You can optionally use this function to check whether the page is loaded by a crawler, a headless browser or an automation framework.
+ * @module detectAutomation
+ */
+export { detectAutomation, defaultBotPatterns } from "./bots.js";
+
+/**
+ * This module exports the storage adapters.
+ * You can optionally pass one of them, or your own adapter, as the storage config option to control where the captchaWorkerId is kept.
+ * @module storage
+ */
+export {
+  createMemoryStorage,
+  createLocalStorage,
+  createSessionStorage,
+  createFileStorage,
+} from "./storage.js";
+
+/**
+ * This module exports the consent manager and the consent banner.
+ * You can optionally pass a ConsentManager as the consent config option so that the Solver only solves once the visitor allows it.
+ * @module consent
+ */
+export { ConsentManager, createConsentBanner } from "./consent.js";
+
+/**
+ * This module exports the <cash-captcha-status> custom element, which is registered when the module is loaded in a browser.
+ * You can optionally use it to show the solver status and let visitors pause solving or limit its CPU usage.
+ * @module statusElement
+ */
+export {
+  CashCaptchaStatusElement,
+  defineStatusElement,
+} from "./status-element.js";
+
+/**
+ * This module exports the offline queue stores.
+ * You can optionally pass one of them, or your own object with load(), put() and remove() methods, as the queueStore config option.
+ * @module queue
+ */
+export {
+  createMemoryQueueStore,
+  createFileQueueStore,
+  createIndexedDbQueueStore,
+} from "./queue.js";
+
+/**
+ * This module exports the error classes.
+ * Every error thrown by the library is a CashCaptchaError, so you can branch on instanceof.
+ * @module errors
+ */
+export {
+  CashCaptchaError,
+  AuthError,
+  RateLimitError,
+  InvalidSolutionError,
+  NetworkError,
+  ClaimError,
+  ConfigError,
+  AbortError,
+} from "./errors.js";
 
 /**
  * This module exports the createConfig function.
  * You can use this function to create a config object.
  * The config object can optionally be used to configure the Solver.
+ * It throws a ConfigError for unknown options and invalid values.
  * @module createConfig
  */
 export { createConfig } from "./config.js";
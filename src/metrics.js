@@ -0,0 +1,271 @@
+// metrics.js - Prometheus exporter for Solvers running in Node.js
+//
+// This module is Node.js only and is not exported from index.js. Import it with
+// import { MetricsExporter } from "cash-captcha/src/metrics.js";
+import http from "http";
+import { getLogger } from "./print.js";
+
+const defaultDifficultyBuckets = [8, 10, 12, 14, 16, 18, 20, 22, 24, 28, 32];
+
+const solverStates = [
+  "stopped",
+  "fetching",
+  "solving",
+  "submitting",
+  "waiting",
+  "paused",
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Exposes the statistics of a Solver in the Prometheus text exposition format.
+ *
+ * Counters and gauges are read from solver.getStats() when the metrics are rendered. The difficulty
+ * histogram, the errors by type and the next check-in are collected from the solver's events, from
+ * the moment the exporter is created.
+ */
+export class MetricsExporter {
+  /**
+   * Creates a new MetricsExporter and subscribes to the solver's events.
+   * @param {import("./solver.js").Solver} solver - The solver to export.
+   * @param {object} [options] - The exporter options.
+   * @param {string} [options.prefix="cashcaptcha_"] - The prefix of every metric name.
+   * @param {number[]} [options.difficultyBuckets] - The upper bounds of the difficulty histogram buckets.
+   */
+  constructor(
+    solver,
+    {
+      prefix = "cashcaptcha_",
+      difficultyBuckets = defaultDifficultyBuckets,
+    } = {}
+  ) {
+    this.solver = solver;
+    this.prefix = prefix;
+    this.difficultyBuckets = [...difficultyBuckets].sort((a, b) => a - b);
+    this.difficultyCounts = this.difficultyBuckets.map(() => 0);
+    this.difficultyCount = 0;
+    this.difficultySum = 0;
+    this.errorCounts = new Map();
+    this.nextCheckIn = null;
+    this.server = null;
+
+    this.onSubmitted = ({ difficulty }) => this.observeDifficulty(difficulty);
+    this.onError = ({ stage, error }) => {
+      const key = JSON.stringify([stage, error ? error.name : "Error"]);
+      this.errorCounts.set(key, (this.errorCounts.get(key) || 0) + 1);
+    };
+    this.onChallenge = ({ nextCheckIn }) => {
+      this.nextCheckIn = nextCheckIn;
+    };
+    this.onWaiting = ({ reason, until }) => {
+      if (reason === "not_ready" || reason === "next_check_in") {
+        this.nextCheckIn = until;
+      }
+    };
+    solver.on("submitted", this.onSubmitted);
+    solver.on("error", this.onError);
+    solver.on("challenge", this.onChallenge);
+    solver.on("waiting", this.onWaiting);
+  }
+
+  observeDifficulty(difficulty) {
+    this.difficultyBuckets.forEach((bucket, index) => {
+      if (difficulty <= bucket) this.difficultyCounts[index]++;
+    });
+    this.difficultyCount++;
+    this.difficultySum += difficulty;
+  }
+
+  /**
+   * Renders the metrics.
+   * @returns {string} The metrics in the Prometheus text exposition format (version 0.0.4).
+   */
+  render() {
+    const stats = this.solver.getStats();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = `${this.prefix}${name}`;
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${fullName}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+    const single = (name, type, help, value) =>
+      metric(name, type, help, [["", {}, value]]);
+
+    single(
+      "up",
+      "gauge",
+      "Whether the solver is running.",
+      stats.state === "stopped" ? 0 : 1
+    );
+    metric(
+      "state",
+      "gauge",
+      "The current state of the solver.",
+      solverStates.map((state) => [
+        "",
+        { state },
+        stats.state === state ? 1 : 0,
+      ])
+    );
+    single(
+      "paused",
+      "gauge",
+      "Whether solving is paused.",
+      this.solver.paused ? 1 : 0
+    );
+    single(
+      "uptime_seconds",
+      "counter",
+      "Time the solver has been running.",
+      stats.uptime / 1000
+    );
+    single(
+      "hashes_total",
+      "counter",
+      "Nonces hashed by all workers.",
+      stats.hashes
+    );
+    single(
+      "hash_rate",
+      "gauge",
+      "Current hash rate of all workers, in hashes per second.",
+      stats.hashRate
+    );
+    single(
+      "average_hash_rate",
+      "gauge",
+      "Average hash rate while solving, in hashes per second.",
+      stats.averageHashRate
+    );
+    single(
+      "challenges_fetched_total",
+      "counter",
+      "Challenges received from the API.",
+      stats.challengesFetched
+    );
+    single(
+      "solutions_submitted_total",
+      "counter",
+      "Solutions sent to the API, including replays from the offline queue.",
+      stats.solutionsSubmitted
+    );
+    single(
+      "solutions_accepted_total",
+      "counter",
+      "Solutions accepted by the API.",
+      stats.solutionsAccepted
+    );
+    single(
+      "solutions_queued",
+      "gauge",
+      "Solutions waiting in the offline queue.",
+      stats.queuedSolutions
+    );
+    metric(
+      "solution_difficulty",
+      "histogram",
+      "Difficulty of the accepted solutions.",
+      [
+        ...this.difficultyBuckets.map((bucket, index) => [
+          "_bucket",
+          { le: bucket },
+          this.difficultyCounts[index],
+        ]),
+        ["_bucket", { le: "+Inf" }, this.difficultyCount],
+        ["_sum", {}, this.difficultySum],
+        ["_count", {}, this.difficultyCount],
+      ]
+    );
+    metric(
+      "errors_total",
+      "counter",
+      "Error events by stage and error class.",
+      [...this.errorCounts].map(([key, count]) => {
+        const [stage, type] = JSON.parse(key);
+        return ["", { stage, type }, count];
+      })
+    );
+    single(
+      "waiting_seconds_total",
+      "counter",
+      "Time spent waiting for the next challenge or a retry.",
+      stats.waitingTime / 1000
+    );
+    single(
+      "next_check_in_seconds",
+      "gauge",
+      "Time until the next challenge can be fetched, 0 if it is due or unknown.",
+      this.nextCheckIn
+        ? Math.max(
+            0,
+            (new Date(this.nextCheckIn).getTime() - Date.now()) / 1000
+          )
+        : 0
+    );
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Serves the metrics over HTTP.
+   * @param {object} [options] - The server options.
+   * @param {number} [options.port=9464] - The port to listen on.
+   * @param {string} [options.host="127.0.0.1"] - The address to listen on. Use "0.0.0.0" to accept remote scrapes.
+   * @param {string} [options.path="/metrics"] - The path of the metrics endpoint.
+   * @returns {Promise<http.Server>} Resolves once the server is listening.
+   */
+  listen({ port = 9464, host = "127.0.0.1", path = "/metrics" } = {}) {
+    this.server = http.createServer((req, res) => {
+      if (req.method !== "GET" || req.url.split("?")[0] !== path) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+      res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+      res.end(this.render());
+    });
+    const server = this.server;
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        getLogger(this.solver.config).info(
+          `Serving metrics on http://${host}:${port}${path}`
+        );
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Stops the HTTP server, if any, and unsubscribes from the solver's events.
+   * @returns {Promise<void>} Resolves once the server is closed.
+   */
+  close() {
+    this.solver.off("submitted", this.onSubmitted);
+    this.solver.off("error", this.onError);
+    this.solver.off("challenge", this.onChallenge);
+    this.solver.off("waiting", this.onWaiting);
+    const server = this.server;
+    this.server = null;
+    if (!server) return Promise.resolve();
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+}
@@ -0,0 +1,324 @@
+// pool.js
+import { globalLogger } from "./print.js";
+
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+let Worker, path, __dirname;
+
+if (isNode) {
+  const nodeWorker = await import("worker_threads");
+  const nodePath = await import("path");
+  const nodeUrl = await import("url");
+
+  Worker = nodeWorker.Worker;
+  path = nodePath;
+  __dirname = path.dirname(nodeUrl.fileURLToPath(import.meta.url));
+} else {
+  // globalThis rather than window, so that the pool also runs inside a SharedWorker
+  Worker = globalThis.Worker;
+}
+
+/**
+ * Splits an inclusive nonce range into contiguous, non-overlapping ranges.
+ *
+ * @param {number} nonceStart - The first nonce of the range.
+ * @param {number} nonceEnd - The last nonce of the range.
+ * @param {number} parts - The maximum number of ranges to create.
+ * @returns {Array<{ nonceStart: number, nonceEnd: number }>} The ranges.
+ */
+export function partitionNonceRange(nonceStart, nonceEnd, parts) {
+  const total = nonceEnd - nonceStart + 1;
+  const count = Math.max(1, Math.min(parts, total));
+  const size = Math.floor(total / count);
+  const remainder = total % count;
+  const ranges = [];
+  let start = nonceStart;
+  for (let i = 0; i < count; i++) {
+    const end = start + size - 1 + (i < remainder ? 1 : 0);
+    ranges.push({ nonceStart: start, nonceEnd: end });
+    start = end + 1;
+  }
+  return ranges;
+}
+
+function spawnWorker() {
+  if (isNode) {
+    return new Worker(path.join(__dirname, "worker.js"), { type: "module" });
+  }
+  return new Worker(new URL("./worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+/**
+ * A long-lived pool of solver workers.
+ *
+ * Workers are spawned once and keep their WASM instance and solver memory for
+ * the whole session. Each challenge is split across the pool, and the workers
+ * stop at the deadline sent with it or when the pool posts a cancel message,
+ * instead of being terminated.
+ */
+export class WorkerPool {
+  /**
+   * Creates a new WorkerPool.
+   * @param {number} size - The number of workers in the pool.
+   * @param {object} [options] - The pool options.
+   * @param {function(object, number): void} [options.onMessage] - Called with every message a worker posts for the current challenge, and the index of that worker.
+   * @param {function(Error, number): void} [options.onError] - Called when a worker fails, with the index of that worker. The worker is replaced.
+   * @param {number} [options.sliceDuration=50] - The time (in milliseconds) each worker hashes before yielding.
+   * @param {number} [options.cpuLimit=100] - The percentage of one core the whole pool may use, see workerCpuLimit.
+   * @param {import("./print.js").Logger} [options.logger] - The logger. Defaults to a logger using the global configuration.
+   * @param {{ logLevel: (string|undefined), logFormat: (string|undefined) }} [options.workerConfig] - The logging configuration of the workers.
+   */
+  constructor(
+    size,
+    {
+      onMessage = () => {},
+      onError = () => {},
+      sliceDuration = 50,
+      cpuLimit = 100,
+      logger = globalLogger,
+      workerConfig = {},
+    } = {}
+  ) {
+    this.size = Math.max(1, size);
+    this.onMessage = onMessage;
+    this.onError = onError;
+    this.sliceDuration = sliceDuration;
+    this.cpuLimit = cpuLimit;
+    this.logger = logger;
+    this.workerConfig = workerConfig;
+    this.workers = [];
+    this.paused = false;
+    this.jobId = 0;
+    this.job = null;
+    this.benchmarkId = 0;
+    this.benchmarks = new Map();
+  }
+
+  /**
+   * Spawns the workers if they are not running yet.
+   */
+  start() {
+    while (this.workers.length < this.size) {
+      this.workers.push(this.createWorker(this.workers.length));
+    }
+  }
+
+  createWorker(index) {
+    const worker = spawnWorker();
+    const handleMessage = (event) => {
+      this.handleMessage(isNode ? event : event.data, index);
+    };
+    const handleError = (error) => {
+      this.handleError(error, index);
+    };
+
+    if (isNode) {
+      worker.on("message", handleMessage);
+      worker.on("error", handleError);
+    } else {
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+    }
+    if (this.paused) {
+      worker.postMessage({ type: "pause" });
+    }
+    worker.postMessage({ type: "config", ...this.workerConfig });
+    worker.postMessage({ type: "cpuLimit", cpuLimit: this.workerCpuLimit() });
+    return worker;
+  }
+
+  /**
+   * The share of the pool's CPU limit each worker gets: the limit divided by the pool size, and at least 1
+   * percent, so a limit below the pool size lets the pool use slightly more.
+   * @returns {number} The percentage of a core each worker may use.
+   */
+  workerCpuLimit() {
+    return Math.max(1, this.cpuLimit / this.size);
+  }
+
+  handleMessage(data, index) {
+    if (data.type === "benchmark") {
+      this.finishBenchmark(data.id, data.error, data.hashRate);
+      return;
+    }
+
+    const { job } = this;
+    if (!job || data.id !== job.id) return;
+
+    this.onMessage(data, index);
+
+    if (data.type === "solution" || data.type === "done") {
+      if (
+        data.solution &&
+        (!job.bestSolution ||
+          data.solution.difficulty > job.bestSolution.difficulty)
+      ) {
+        job.bestSolution = data.solution;
+      }
+    }
+    if (data.type === "done") {
+      job.pending.delete(index);
+      if (job.pending.size === 0) {
+        this.finishJob(job);
+      }
+    }
+  }
+
+  handleError(error, index) {
+    this.logger.error(
+      `[WorkerPool] Error in worker ${index}: ${error.message}`
+    );
+    this.workers[index].terminate();
+    this.workers[index] = this.createWorker(index);
+    this.onError(error, index);
+
+    for (const [id, benchmark] of this.benchmarks) {
+      if (benchmark.index === index) this.finishBenchmark(id, error.message);
+    }
+
+    const { job } = this;
+    if (job && job.pending.delete(index) && job.pending.size === 0) {
+      this.finishJob(job);
+    }
+  }
+
+  /**
+   * Solves a challenge with every worker in the pool.
+   * @param {object} challengeData - The challenge returned by the API.
+   * @param {Date} deadline - The time at which solving stops.
+   * @returns {Promise<object|null>} The best solution found by any worker.
+   */
+  solve(challengeData, deadline) {
+    this.start();
+    if (this.job) {
+      this.cancel();
+    }
+
+    const ranges = partitionNonceRange(
+      challengeData.nonceStart,
+      challengeData.nonceEnd,
+      this.workers.length
+    );
+    this.logger.debug(`Solving challenge with ${ranges.length} worker(s)`);
+
+    return new Promise((resolve) => {
+      const job = {
+        id: ++this.jobId,
+        pending: new Set(),
+        bestSolution: null,
+        resolve,
+      };
+      this.job = job;
+
+      const workDuration = Math.max(0, deadline.getTime() - Date.now());
+      job.timeoutId = setTimeout(() => {
+        this.logger.debug("Solve duration reached, cancelling workers");
+        this.finishJob(job);
+      }, workDuration);
+
+      ranges.forEach((range, index) => {
+        job.pending.add(index);
+        this.workers[index].postMessage({
+          type: "challenge",
+          id: job.id,
+          challenge: challengeData.challenge,
+          nonceStart: range.nonceStart,
+          nonceEnd: range.nonceEnd,
+          deadline: deadline.getTime(),
+          sliceDuration: this.sliceDuration,
+        });
+      });
+    });
+  }
+
+  /**
+   * Measures the drillx hash rate in the first worker of the pool, without blocking the calling thread.
+   * @param {number} iterations - The number of timed hashes.
+   * @returns {Promise<number>} The measured hashes per second.
+   */
+  benchmark(iterations) {
+    this.start();
+    return new Promise((resolve, reject) => {
+      const id = ++this.benchmarkId;
+      this.benchmarks.set(id, { index: 0, resolve, reject });
+      this.workers[0].postMessage({ type: "benchmark", id, iterations });
+    });
+  }
+
+  finishBenchmark(id, error, hashRate) {
+    const benchmark = this.benchmarks.get(id);
+    if (!benchmark) return;
+    this.benchmarks.delete(id);
+    if (error) {
+      benchmark.reject(new Error(error));
+    } else {
+      benchmark.resolve(hashRate);
+    }
+  }
+
+  finishJob(job) {
+    if (this.job !== job) return;
+    clearTimeout(job.timeoutId);
+    this.job = null;
+    if (job.pending.size > 0) {
+      this.broadcast({ type: "cancel", id: job.id });
+    }
+    job.resolve(job.bestSolution);
+  }
+
+  /**
+   * Cancels the current challenge. Its solve() promise resolves with the best solution found so far.
+   */
+  cancel() {
+    if (this.job) {
+      this.finishJob(this.job);
+    }
+  }
+
+  /**
+   * Suspends hashing in every worker. The current challenge keeps its nonce position.
+   */
+  pause() {
+    this.paused = true;
+    this.broadcast({ type: "pause" });
+  }
+
+  /**
+   * Resumes hashing after pause().
+   */
+  resume() {
+    this.paused = false;
+    this.broadcast({ type: "resume" });
+  }
+
+  /**
+   * Changes the percentage of one core the whole pool may use.
+   * @param {number} cpuLimit - The new limit, from 1 to 100.
+   */
+  setCpuLimit(cpuLimit) {
+    this.cpuLimit = cpuLimit;
+    this.broadcast({ type: "cpuLimit", cpuLimit: this.workerCpuLimit() });
+  }
+
+  broadcast(message) {
+    for (const worker of this.workers) {
+      worker.postMessage(message);
+    }
+  }
+
+  /**
+   * Cancels the current challenge and pending benchmarks, and terminates every worker.
+   */
+  terminate() {
+    this.cancel();
+    for (const id of this.benchmarks.keys()) {
+      this.finishBenchmark(id, "The worker pool was terminated");
+    }
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
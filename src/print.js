@@ -9,40 +9,142 @@ if (isNode) {
 }
 
 const logLevels = {
+  silent: -1,
   error: 0,
   warn: 1,
   info: 2,
   debug: 3,
 };
 
-function log(level, message) {
-  const config = getGlobalConfig();
-  const LOG_LEVEL = config.logLevel || "info";
-  if (logLevels[level] <= logLevels[LOG_LEVEL]) {
-    const timestamp = new Date().toISOString();
-    const formattedMessage = `[${timestamp}] ${message}`;
-    const emoji = {
-      error: "🟥",
-      warn: "🟧",
-      info: "🟨",
-      debug: "🟪",
+const emoji = {
+  error: "🟥",
+  warn: "🟧",
+  info: "🟨",
+  debug: "🟪",
+};
+
+/**
+ * A logger. Every method takes a message followed by any number of extra values.
+ *
+ * @typedef {Object} Logger
+ * @property {function(string, ...*): void} error - Logs an error.
+ * @property {function(string, ...*): void} warn - Logs a warning.
+ * @property {function(string, ...*): void} info - Logs an informational message.
+ * @property {function(string, ...*): void} debug - Logs a debug message.
+ * @property {function(Object): Logger} child - Creates a logger that adds the given fields to every entry.
+ */
+
+/**
+ * Hashes a value, such as an API key or a challenge, so that log entries can be correlated without revealing it.
+ *
+ * @param {string} value - The value to hash.
+ * @returns {string} An 8 character hexadecimal FNV-1a hash of the value.
+ */
+export function shortHash(value) {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+// Errors have no enumerable properties, so JSON.stringify would drop them.
+function toJsonValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(config, fields, level, message, args) {
+  const threshold = logLevels[config.logLevel || "info"];
+  if (!(logLevels[level] <= threshold)) return;
+
+  if (config.logger) {
+    if (typeof config.logger[level] !== "function") return;
+    const entry = args.length > 0 ? { ...fields, args } : fields;
+    config.logger[level](message, entry);
+  } else if (config.logFormat === "json") {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...fields,
     };
-    console.log(`${emoji[level]} ${formattedMessage}`);
+    if (args.length > 0) {
+      entry.args = args.map(toJsonValue);
+    }
+    console.log(JSON.stringify(entry));
+  } else {
+    const timestamp = new Date().toISOString();
+    console.log(`${emoji[level]} [${timestamp}] ${message}`, ...args);
+  }
+}
+
+/**
+ * Creates a logger for a configuration.
+ *
+ * The entries are filtered by config.logLevel ("silent", "error", "warn", "info" or "debug") and sent
+ * to config.logger if set. Otherwise they are written to the console, as JSON lines when
+ * config.logFormat is "json" and as human readable lines by default.
+ *
+ * @param {object} [config] - The configuration object. Defaults to the global configuration.
+ * @param {Object} [fields] - Structured fields added to every entry, such as component, apiKeyHash or challengeId.
+ * @returns {Logger} The logger.
+ */
+export function createLogger(config = getGlobalConfig(), fields = {}) {
+  return {
+    error: (message, ...args) => write(config, fields, "error", message, args),
+    warn: (message, ...args) => write(config, fields, "warn", message, args),
+    info: (message, ...args) => write(config, fields, "info", message, args),
+    debug: (message, ...args) => write(config, fields, "debug", message, args),
+    child: (childFields) => createLogger(config, { ...fields, ...childFields }),
+  };
+}
+
+const loggers = new WeakMap();
+
+/**
+ * Returns the logger of a configuration object, creating it on first use.
+ *
+ * @param {object} config - The configuration object.
+ * @returns {Logger} The logger.
+ */
+export function getLogger(config) {
+  if (!loggers.has(config)) {
+    loggers.set(config, createLogger(config));
   }
+  return loggers.get(config);
 }
 
-export function logError(message) {
-  log("error", message);
+// The functions below log with the global configuration. They are used by the
+// modules that are not tied to a Solver, Rewards or Register instance.
+
+export function logError(message, ...args) {
+  write(getGlobalConfig(), {}, "error", message, args);
 }
 
-export function logWarn(message) {
-  log("warn", message);
+export function logWarn(message, ...args) {
+  write(getGlobalConfig(), {}, "warn", message, args);
 }
 
-export function logInfo(message) {
-  log("info", message);
+export function logInfo(message, ...args) {
+  write(getGlobalConfig(), {}, "info", message, args);
 }
 
-export function logDebug(message) {
-  log("debug", message);
+export function logDebug(message, ...args) {
+  write(getGlobalConfig(), {}, "debug", message, args);
 }
+
+/**
+ * A logger that uses the global configuration, for classes that accept an optional logger.
+ * @type {Logger}
+ */
+export const globalLogger = {
+  error: logError,
+  warn: logWarn,
+  info: logInfo,
+  debug: logDebug,
+  child: (fields) => createLogger(getGlobalConfig(), fields),
+};
@@ -0,0 +1,357 @@
+// queue.js - durable queue of solutions whose submission failed
+import { getBackoffDelay } from "./http.js";
+import { AbortError } from "./errors.js";
+import { getLogger, logWarn, shortHash } from "./print.js";
+
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+let fs, path, os;
+if (isNode) {
+  fs = (await import("fs")).promises;
+  path = await import("path");
+  os = await import("os");
+}
+
+/**
+ * A solution waiting to be submitted again.
+ *
+ * @typedef {Object} QueuedSolution
+ * @property {string} id - A unique identifier of the entry.
+ * @property {string} apiKeyHash - The hash of the API key that found the solution. It is only replayed with that key.
+ * @property {object} solution - The solution found by the workers.
+ * @property {string} challenge - The base64 encoded challenge the solution belongs to.
+ * @property {number} deadline - The challenge deadline (in milliseconds since the epoch). The entry is dropped after it.
+ * @property {number} attempts - The number of failed replays.
+ * @property {number} nextAttempt - The earliest time (in milliseconds since the epoch) of the next replay.
+ */
+
+/**
+ * Where the queue is persisted. Implement this interface to store the queue somewhere else.
+ *
+ * Several queues, in other tabs or with other API keys, may share a store. Entries are therefore written and
+ * removed one at a time by id, so that a queue never overwrites the entries of another one.
+ *
+ * @typedef {Object} QueueStore
+ * @property {function(): Promise<QueuedSolution[]>} load - Reads the persisted entries.
+ * @property {function(QueuedSolution): Promise<void>} put - Adds an entry, or replaces the entry with the same id.
+ * @property {function(string): Promise<void>} remove - Deletes the entry with this id, if there is one.
+ */
+
+/**
+ * Creates a queue store that keeps the entries in memory only.
+ *
+ * @returns {QueueStore} The store.
+ */
+export function createMemoryQueueStore() {
+  const entries = new Map();
+  return {
+    async load() {
+      return [...entries.values()];
+    },
+    async put(entry) {
+      entries.set(entry.id, entry);
+    },
+    async remove(id) {
+      entries.delete(id);
+    },
+  };
+}
+
+// The pending write of each queue file, shared by every store of the same file
+const fileWrites = new Map();
+let tempFileCount = 0;
+
+/**
+ * Creates a queue store backed by a JSON file (Node.js only).
+ *
+ * @param {string} [filePath] - The path of the file. Defaults to queue.json in the .cash-captcha directory of the
+ * user's home directory.
+ * @returns {QueueStore} The store.
+ */
+export function createFileQueueStore(filePath) {
+  const file = path.resolve(
+    filePath || path.join(os.homedir(), ".cash-captcha", "queue.json")
+  );
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logWarn(`Could not read ${file}: ${error.message}`);
+      }
+      return [];
+    }
+  };
+
+  // Every change reads the file again, and changes are chained per file so that none is lost
+  const update = (change) => {
+    const previous = fileWrites.get(file) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        const entries = change(await read());
+        // Write to a temporary file first so a crash never leaves a truncated queue. The name is unique, as
+        // other processes may write the same queue.
+        const tempFile = `${file}.${process.pid}.${++tempFileCount}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(entries));
+        await fs.rename(tempFile, file);
+      });
+    fileWrites.set(file, write);
+    write
+      .catch(() => {})
+      .then(() => {
+        if (fileWrites.get(file) === write) fileWrites.delete(file);
+      });
+    return write;
+  };
+
+  return {
+    async load() {
+      await (fileWrites.get(file) || Promise.resolve()).catch(() => {});
+      return read();
+    },
+    put(entry) {
+      return update((entries) => [
+        ...entries.filter(({ id }) => id !== entry.id),
+        entry,
+      ]);
+    },
+    remove(id) {
+      return update((entries) => entries.filter((entry) => entry.id !== id));
+    },
+  };
+}
+
+/**
+ * Creates a queue store backed by IndexedDB (browser only).
+ *
+ * @param {string} [databaseName="cash-captcha"] - The name of the database.
+ * @returns {QueueStore} The store.
+ */
+export function createIndexedDbQueueStore(databaseName = "cash-captcha") {
+  const storeName = "solutions";
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(databaseName, 1);
+        openRequest.onupgradeneeded = () => {
+          openRequest.result.createObjectStore(storeName, { keyPath: "id" });
+        };
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => reject(openRequest.error);
+      });
+    }
+    return databasePromise;
+  };
+
+  const transaction = async (mode, run) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, mode);
+      const result = run(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result && result.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  return {
+    async load() {
+      return (await transaction("readonly", (store) => store.getAll())) || [];
+    },
+    async put(entry) {
+      await transaction("readwrite", (store) => store.put(entry));
+    },
+    async remove(id) {
+      await transaction("readwrite", (store) => store.delete(id));
+    },
+  };
+}
+
+/**
+ * Picks the queue store for a configuration: config.queueStore if set, otherwise IndexedDB in the
+ * browser and a JSON file at config.queueFile in Node.js. Falls back to memory when neither is available.
+ * The default file is queue-<API key hash>.json in the .cash-captcha directory of the user's home directory.
+ *
+ * @param {object} config - The configuration object.
+ * @param {string} apiKey - The API key of the solver.
+ * @returns {QueueStore} The store.
+ */
+export function resolveQueueStore(config, apiKey) {
+  if (config.queueStore) return config.queueStore;
+  if (isNode) {
+    return createFileQueueStore(
+      config.queueFile ||
+        path.join(
+          os.homedir(),
+          ".cash-captcha",
+          `queue-${shortHash(apiKey)}.json`
+        )
+    );
+  }
+  if (typeof indexedDB !== "undefined") return createIndexedDbQueueStore();
+  return createMemoryQueueStore();
+}
+
+/**
+ * Solutions whose submission failed, persisted in a QueueStore and replayed with backoff.
+ *
+ * A store may be shared by solvers with different API keys and by the tabs of a browser, so every entry records
+ * the hash of its API key and the queue only reads and writes the entries of its own key. Each replay reads the
+ * store again, to pick up the changes of other tabs, and holds a Web Lock where available so that two tabs with
+ * the same key never submit the same entry.
+ */
+export class SolutionQueue {
+  /**
+   * Creates a new SolutionQueue.
+   * @param {QueueStore} store - Where the entries are persisted.
+   * @param {object} config - The configuration object, used for the retry backoff.
+   * @param {string} apiKey - The API key the solutions are submitted with.
+   */
+  constructor(store, config, apiKey) {
+    this.store = store;
+    this.config = config;
+    this.apiKeyHash = shortHash(apiKey);
+    this.logger = getLogger(config).child({
+      component: "queue",
+      apiKeyHash: this.apiKeyHash,
+    });
+    this.entries = [];
+    this.replaying = null;
+  }
+
+  /**
+   * The number of queued solutions.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Reads the persisted entries of this API key and drops the expired entries of every key.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let entries;
+    try {
+      entries = await this.store.load();
+    } catch (error) {
+      // Keeps the entries known so far
+      this.logger.warn(`Could not load queued solutions: ${error.message}`);
+      return;
+    }
+    const now = Date.now();
+    const expired = entries.filter(({ deadline }) => !(deadline > now));
+    if (expired.length > 0) {
+      this.logger.debug(`Dropped ${expired.length} expired solution(s)`);
+    }
+    for (const entry of expired) {
+      await this.write(() => this.store.remove(entry.id));
+    }
+    // Entries without an apiKeyHash were queued by an older version and cannot be attributed
+    this.entries = entries.filter(
+      (entry) =>
+        entry.apiKeyHash === this.apiKeyHash && !expired.includes(entry)
+    );
+  }
+
+  async write(run) {
+    try {
+      await run();
+    } catch (error) {
+      this.logger.warn(`Could not save queued solutions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds a solution to the queue, unless its deadline has passed.
+   * @param {object} solution - The solution found by the workers.
+   * @param {string} challenge - The base64 encoded challenge.
+   * @param {Date|string|number} deadline - The challenge deadline.
+   * @returns {Promise<boolean>} True if the solution was queued, false otherwise.
+   */
+  async add(solution, challenge, deadline) {
+    const deadlineTime = new Date(deadline).getTime();
+    if (!(deadlineTime > Date.now())) return false;
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+      apiKeyHash: this.apiKeyHash,
+      solution,
+      challenge,
+      deadline: deadlineTime,
+      attempts: 0,
+      nextAttempt: Date.now(),
+    };
+    this.entries.push(entry);
+    await this.write(() => this.store.put(entry));
+    return true;
+  }
+
+  /**
+   * The time (in milliseconds since the epoch) of the next replay that is due, or null if the queue is empty.
+   * @returns {number|null}
+   */
+  nextAttemptTime() {
+    if (this.entries.length === 0) return null;
+    return Math.min(...this.entries.map((entry) => entry.nextAttempt));
+  }
+
+  /**
+   * Submits every entry that is due. Entries that fail with a retryable error are kept and backed off;
+   * other failures and expired entries are dropped. Concurrent calls share the same replay.
+   * @param {function(QueuedSolution): Promise<*>} submit - Submits one entry, rejecting on failure.
+   * @param {object} [options] - The replay options.
+   * @param {boolean} [options.force=false] - Replay every entry, even the ones that are still backing off.
+   * @returns {Promise<void>}
+   */
+  replay(submit, { force = false } = {}) {
+    if (!this.replaying) {
+      this.replaying = this.withLock(async () => {
+        await this.load();
+        await this.replayEntries(submit, force);
+      }).finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  withLock(run) {
+    if (typeof navigator === "undefined" || !navigator.locks) return run();
+    return navigator.locks.request(
+      `cash-captcha-queue:${this.apiKeyHash}`,
+      run
+    );
+  }
+
+  async replayEntries(submit, force) {
+    for (const entry of this.entries.slice()) {
+      if (!force && entry.nextAttempt > Date.now()) continue;
+      try {
+        await submit(entry);
+        await this.remove(entry);
+      } catch (error) {
+        // The solver is stopping: keep the entry for the next session
+        if (error instanceof AbortError) break;
+        if (error.retryable && entry.deadline > Date.now()) {
+          entry.nextAttempt =
+            Date.now() + getBackoffDelay(entry.attempts, this.config);
+          entry.attempts++;
+          await this.write(() => this.store.put(entry));
+        } else {
+          this.logger.debug(`Dropping queued solution: ${error.message}`);
+          await this.remove(entry);
+        }
+      }
+    }
+  }
+
+  async remove(entry) {
+    this.entries = this.entries.filter(({ id }) => id !== entry.id);
+    await this.write(() => this.store.remove(entry.id));
+  }
+}
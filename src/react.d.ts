@@ -0,0 +1,26 @@
+/// <reference path="./index.d.ts" />
+
+import type { Solver } from "cash-captcha";
+import type {
+  SolverSnapshot,
+  SolverControls,
+  RewardsSnapshot,
+} from "cash-captcha/src/registry.js";
+
+export function CashCaptchaProvider(props: {
+  apiKey: string;
+  config?: object;
+  autoStart?: boolean;
+  children?: any;
+}): any;
+
+export function useCashCaptcha(options?: {
+  apiKey?: string;
+  config?: object;
+  autoStart?: boolean;
+}): SolverSnapshot & SolverControls & { solver: Solver | null };
+
+export function useRewardsInfo(
+  claimKey: string,
+  options?: { maxAge?: number; apiKey?: string; config?: object }
+): RewardsSnapshot & { refresh(): Promise<void> };
@@ -0,0 +1,130 @@
+// react.js - React bindings
+//
+// Requires react 18 or later. Import it with
+// import { CashCaptchaProvider, useCashCaptcha } from "cash-captcha/src/react.js";
+import {
+  createContext,
+  createElement,
+  useContext,
+  useEffect,
+  useReducer,
+  useSyncExternalStore,
+} from "react";
+import {
+  findSolverEntry,
+  getRewardsQuery,
+  idleSolverSnapshot,
+  retainSolver,
+} from "./registry.js";
+
+const CashCaptchaContext = createContext(null);
+
+// Stands in for the Solver until the first effect has created it
+const idleEntry = {
+  solver: null,
+  store: {
+    subscribe: () => () => {},
+    getSnapshot: () => idleSolverSnapshot,
+  },
+  controls: {
+    start: () => Promise.resolve(),
+    stop: () => Promise.resolve(),
+    pause: () => {},
+    resume: () => {},
+    setCpuLimit: () => {},
+  },
+};
+
+/**
+ * Provides the API key and configuration to the useCashCaptcha and useRewardsInfo hooks of its descendants.
+ *
+ * @param {object} props - The props.
+ * @param {string} props.apiKey - The API key.
+ * @param {object} [props.config] - The Solver configuration, see createConfig.
+ * @param {boolean} [props.autoStart=true] - Start the Solver when a component using it mounts.
+ * @param {*} props.children - The children.
+ * @returns {*} The provider element.
+ */
+export function CashCaptchaProvider({
+  apiKey,
+  config,
+  autoStart = true,
+  children,
+}) {
+  return createElement(
+    CashCaptchaContext.Provider,
+    { value: { apiKey, config, autoStart } },
+    children
+  );
+}
+
+function useOptions(options) {
+  const context = useContext(CashCaptchaContext);
+  const merged = { autoStart: true, ...context, ...options };
+  if (!merged.apiKey) {
+    throw new Error(
+      "Pass an apiKey to the hook or render it inside a CashCaptchaProvider"
+    );
+  }
+  return merged;
+}
+
+/**
+ * Uses the shared Solver of an API key. Every component using the same API key shares one Solver, which
+ * keeps running while at least one of them is mounted and is stopped when the last one unmounts.
+ *
+ * The Solver is created on mount, never while rendering, so until then (and during server-side rendering)
+ * solver is null, the state is idleSolverSnapshot and the controls do nothing.
+ *
+ * @param {object} [options] - Overrides the options of the CashCaptchaProvider.
+ * @param {string} [options.apiKey] - The API key.
+ * @param {object} [options.config] - The Solver configuration, used by the first component to create the Solver.
+ * @param {boolean} [options.autoStart=true] - Start the Solver on mount.
+ * @returns {import("./registry.js").SolverSnapshot & { solver: import("./solver.js").Solver|null, start: Function, stop: Function, pause: Function, resume: Function, setCpuLimit: Function }}
+ * The state of the Solver, re-rendered after each of its events, and control functions, stable once the Solver exists.
+ */
+export function useCashCaptcha(options) {
+  const { apiKey, config, autoStart } = useOptions(options);
+  const [, rerender] = useReducer((count) => count + 1, 0);
+  const entry = findSolverEntry(apiKey) || idleEntry;
+  const snapshot = useSyncExternalStore(
+    entry.store.subscribe,
+    entry.store.getSnapshot,
+    () => idleSolverSnapshot
+  );
+
+  useEffect(() => {
+    const release = retainSolver(apiKey, config, { autoStart });
+    // Renders again with the Solver if this effect created it
+    if (findSolverEntry(apiKey) !== entry) rerender();
+    return release;
+  }, [apiKey, autoStart]);
+
+  return { solver: entry.solver, ...snapshot, ...entry.controls };
+}
+
+/**
+ * Uses the cached result of Rewards.info(). Components using the same keys share the result and the requests.
+ *
+ * @param {string} claimKey - The claim key.
+ * @param {object} [options] - The query options.
+ * @param {number} [options.maxAge=60000] - Fetch again on mount if the cached result is older than this (in milliseconds).
+ * @param {string} [options.apiKey] - The API key. Defaults to the one of the CashCaptchaProvider.
+ * @param {object} [options.config] - The configuration. Defaults to the one of the CashCaptchaProvider.
+ * @returns {import("./registry.js").RewardsSnapshot & { refresh: function(): Promise<void> }} The query state.
+ */
+export function useRewardsInfo(claimKey, { maxAge = 60000, ...options } = {}) {
+  const { apiKey, config } = useOptions(options);
+  const query = getRewardsQuery(apiKey, claimKey, config);
+  const snapshot = useSyncExternalStore(
+    query.subscribe,
+    query.getSnapshot,
+    query.getSnapshot
+  );
+
+  useEffect(() => {
+    query.fetchIfStale(maxAge);
+  }, [query, maxAge]);
+
+  return { ...snapshot, refresh: query.refresh };
+}
@@ -1,5 +1,6 @@
-import axios from "axios";
-import { logError, logDebug } from "./print.js";
+import { request } from "./http.js";
+import { createConfig } from "./config.js";
+import { getLogger, shortHash } from "./print.js";
 
 /**
  * Represents a Register object.
@@ -16,7 +17,11 @@ export class Register {
   constructor(apiKey, claimKey, config) {
     this.apiKey = apiKey;
     this.claimKey = claimKey;
-    this.config = config;
+    this.config = createConfig(config);
+    this.logger = getLogger(this.config).child({
+      component: "register",
+      apiKeyHash: shortHash(apiKey),
+    });
   }
 
   /**
@@ -25,25 +30,23 @@ export class Register {
    * @param {string} email - The email of the user being registered.
    * @param {string} [referredBy=""] - The referral code of the user who referred this user (optional).
    * @returns {Promise<object>} - The response data.
-   * @throws {Error} - If there is an error registering the user.
+   * @throws {CashCaptchaError} - If there is an error registering the user.
    */
   async registerUser(email, referredBy = "") {
-    logDebug(`Registering user with email: ${email}`);
+    this.logger.debug(`Registering user`);
     try {
-      const response = await axios.post(
-        `${this.config.apiUrl}/captcha/new-user`,
-        { email, referredBy },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-API-KEY": this.apiKey,
-          },
-        }
-      );
-      logDebug(`Response status: ${response.data.status}`);
-      return response.data;
+      const data = await request(this.config, {
+        method: "post",
+        path: "/captcha/new-user",
+        data: { email, referredBy },
+        headers: { "X-API-KEY": this.apiKey },
+      });
+      this.logger.debug(`Response status: ${data.status}`);
+      return data;
     } catch (error) {
-      logError(`[registerUser] Error registering user: ${error.message}`);
+      this.logger.error(
+        `[registerUser] Error registering user: ${error.message}`
+      );
       throw error;
     }
   }
@@ -53,27 +56,29 @@ export class Register {
    * @async
    * @param {string} userApiKey - The API key of the user being registered.
    * @returns {Promise<object>} - The response data.
-   * @throws {Error} - If there is an error resetting the claim key.
+   * @throws {CashCaptchaError} - If there is an error resetting the claim key.
    */
   async resetClaimKey(userApiKey) {
-    logDebug(`Resetting claim key for user with API key: ${userApiKey}`);
+    this.logger.debug(
+      `Resetting claim key for user with API key ${shortHash(userApiKey)}`
+    );
     try {
-      const response = await axios.post(
-        `${this.config.apiUrl}/captcha/new-claim-key`,
-        {},
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-API-KEY": this.apiKey,
-            "X-CLAIM-KEY": this.claimKey,
-            "USER-API-KEY": userApiKey,
-          },
-        }
-      );
-      logDebug(`Response status: ${response.data.status}`);
-      return response.data;
+      const data = await request(this.config, {
+        method: "post",
+        path: "/captcha/new-claim-key",
+        data: {},
+        headers: {
+          "X-API-KEY": this.apiKey,
+          "X-CLAIM-KEY": this.claimKey,
+          "USER-API-KEY": userApiKey,
+        },
+      });
+      this.logger.debug(`Response status: ${data.status}`);
+      return data;
     } catch (error) {
-      logError(`[resetClaimKey] Error resetting claim key: ${error.message}`);
+      this.logger.error(
+        `[resetClaimKey] Error resetting claim key: ${error.message}`
+      );
       throw error;
     }
   }
@@ -0,0 +1,268 @@
+// registry.js - shared Solver and rewards instances for the framework bindings (react.js and vue.js)
+import { Solver } from "./solver.js";
+import { Rewards } from "./rewards.js";
+import { StatsCollector } from "./stats.js";
+
+// Long enough for React StrictMode to mount a component again after unmounting it
+const releaseDelay = 100;
+
+const solverEvents = [
+  "started",
+  "stopped",
+  "paused",
+  "resumed",
+  "challenge",
+  "progress",
+  "submitted",
+  "queued",
+  "waiting",
+  "error",
+  "status",
+  "role",
+];
+
+/**
+ * The reactive state of a Solver exposed by the bindings.
+ *
+ * @typedef {Object} SolverSnapshot
+ * @property {string} state - The state of the Solver, see Solver.getStats().
+ * @property {boolean} paused - Whether solving is paused.
+ * @property {"leader"|"follower"|null} role - The role of the tab with singleTab.
+ * @property {string|null} status - The last status message.
+ * @property {Error|null} error - The error of the last error event, cleared when a solution is accepted.
+ * @property {import("./stats.js").SolverStats} stats - The statistics of the Solver.
+ */
+
+/**
+ * The snapshot of a component whose Solver does not exist yet, such as during server-side rendering or before the
+ * first mount.
+ *
+ * @type {SolverSnapshot}
+ */
+export const idleSolverSnapshot = Object.freeze({
+  state: "stopped",
+  paused: false,
+  role: null,
+  status: null,
+  error: null,
+  stats: Object.freeze({
+    state: "stopped",
+    role: null,
+    queuedSolutions: 0,
+    ...new StatsCollector().snapshot(),
+  }),
+});
+
+/**
+ * Creates an external store for a Solver: a cached snapshot of its state that is replaced after every event.
+ *
+ * @param {Solver} solver - The solver.
+ * @returns {{ getSnapshot: function(): SolverSnapshot, subscribe: function(function(): void): function(): void }} The store.
+ */
+export function createSolverStore(solver) {
+  let status = null;
+  let error = null;
+  const read = () => ({
+    state: solver.state,
+    paused: solver.paused,
+    role: solver.role,
+    status,
+    error,
+    stats: solver.getStats(),
+  });
+  let snapshot = read();
+  const listeners = new Set();
+
+  const handlers = solverEvents.map((event) => [
+    event,
+    (payload) => {
+      if (event === "status") status = payload;
+      if (event === "error") {
+        error = payload.error || new Error(payload.message);
+      }
+      if (event === "submitted") error = null;
+      snapshot = read();
+      for (const listener of [...listeners]) {
+        listener();
+      }
+    },
+  ]);
+
+  return {
+    getSnapshot: () => snapshot,
+    subscribe(listener) {
+      if (listeners.size === 0) {
+        for (const [event, handler] of handlers) solver.on(event, handler);
+        snapshot = read();
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          for (const [event, handler] of handlers) solver.off(event, handler);
+        }
+      };
+    },
+  };
+}
+
+const solvers = new Map();
+
+/**
+ * Returns the shared Solver of an API key, with its store and controls, if it exists. Unlike getSolverEntry, it
+ * has no side effects, so it can be called while rendering.
+ *
+ * @param {string} apiKey - The API key.
+ * @returns {{ solver: Solver, store: object, controls: object }|null} The entry, or null.
+ */
+export function findSolverEntry(apiKey) {
+  return solvers.get(apiKey) || null;
+}
+
+/**
+ * Returns the shared Solver of an API key, with its store and controls, creating it on first use.
+ * The configuration of the first call is used; later calls with the same API key get the same Solver.
+ *
+ * @param {string} apiKey - The API key.
+ * @param {object} [config] - The configuration, see createConfig.
+ * @returns {{ solver: Solver, store: object, controls: object }} The entry. Its controls are bound to the Solver.
+ */
+export function getSolverEntry(apiKey, config) {
+  let entry = solvers.get(apiKey);
+  if (!entry) {
+    const solver = new Solver(apiKey, config);
+    entry = {
+      solver,
+      store: createSolverStore(solver),
+      controls: {
+        start: () => solver.start(),
+        stop: (options) => solver.stop(options),
+        pause: (reason) => solver.pause(reason),
+        resume: (reason) => solver.resume(reason),
+        setCpuLimit: (cpuLimit) => solver.setCpuLimit(cpuLimit),
+      },
+      refs: 0,
+      releaseTimer: null,
+    };
+    solvers.set(apiKey, entry);
+  }
+  return entry;
+}
+
+/**
+ * Marks the shared Solver of an API key as used, and starts it.
+ *
+ * The Solver is stopped, and its workers terminated, once every user has released it. Releasing is
+ * delayed slightly, so that a component that is unmounted and mounted again keeps the same running Solver.
+ *
+ * @param {string} apiKey - The API key.
+ * @param {object} [config] - The configuration, used if the Solver does not exist yet.
+ * @param {object} [options] - The options.
+ * @param {boolean} [options.autoStart=true] - Start the Solver if it is not running.
+ * @returns {function(): void} Releases the Solver. Calling it more than once has no effect.
+ */
+export function retainSolver(apiKey, config, { autoStart = true } = {}) {
+  const entry = getSolverEntry(apiKey, config);
+  clearTimeout(entry.releaseTimer);
+  entry.releaseTimer = null;
+  entry.refs++;
+  if (autoStart && !entry.solver.loopPromise) {
+    entry.solver.start().catch((error) => {
+      entry.solver.logger.error(`Solver failed: ${error.message}`);
+    });
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    entry.refs--;
+    if (entry.refs > 0) return;
+    entry.releaseTimer = setTimeout(() => {
+      if (entry.refs > 0 || solvers.get(apiKey) !== entry) return;
+      solvers.delete(apiKey);
+      entry.solver.stop().catch((error) => {
+        entry.solver.logger.error(
+          `Could not stop the Solver: ${error.message}`
+        );
+      });
+    }, releaseDelay);
+  };
+}
+
+/**
+ * The reactive state of a rewards query.
+ *
+ * @typedef {Object} RewardsSnapshot
+ * @property {object|null} data - The last rewards information received.
+ * @property {Error|null} error - The error of the last request, or null if it succeeded.
+ * @property {boolean} loading - Whether a request is in progress.
+ * @property {number|null} updatedAt - When data was received, in milliseconds since the epoch.
+ */
+
+const rewardsQueries = new Map();
+
+/**
+ * Returns the shared, cached query of Rewards.info() for an API key and claim key, creating it on first use.
+ *
+ * @param {string} apiKey - The API key.
+ * @param {string} claimKey - The claim key.
+ * @param {object} [config] - The configuration, see createConfig.
+ * @returns {{ getSnapshot: function(): RewardsSnapshot, subscribe: function(function(): void): function(): void, refresh: function(): Promise<void>, fetchIfStale: function(number): Promise<void> }} The query.
+ */
+export function getRewardsQuery(apiKey, claimKey, config) {
+  const key = `${apiKey}\n${claimKey}`;
+  let query = rewardsQueries.get(key);
+  if (query) return query;
+
+  const rewards = new Rewards(apiKey, claimKey, config);
+  const listeners = new Set();
+  let snapshot = { data: null, error: null, loading: false, updatedAt: null };
+  let pending = null;
+
+  const update = (changes) => {
+    snapshot = { ...snapshot, ...changes };
+    for (const listener of [...listeners]) {
+      listener();
+    }
+  };
+
+  query = {
+    getSnapshot: () => snapshot,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Concurrent callers share the request in progress
+    refresh() {
+      if (!pending) {
+        update({ loading: true });
+        pending = rewards
+          .info()
+          .then(
+            (data) =>
+              update({
+                data,
+                error: null,
+                loading: false,
+                updatedAt: Date.now(),
+              }),
+            (error) => update({ error, loading: false })
+          )
+          .finally(() => {
+            pending = null;
+          });
+      }
+      return pending;
+    },
+    fetchIfStale(maxAge) {
+      const { updatedAt } = snapshot;
+      if (updatedAt !== null && Date.now() - updatedAt < maxAge) {
+        return Promise.resolve();
+      }
+      return query.refresh();
+    },
+  };
+  rewardsQueries.set(key, query);
+  return query;
+}
@@ -1,5 +1,79 @@
-import axios from "axios";
-import { logError, logDebug } from "./print.js";
+import { request, getBackoffDelay } from "./http.js";
+import { createConfig } from "./config.js";
+import { ClaimError, RateLimitError, AbortError } from "./errors.js";
+import { getLogger, shortHash } from "./print.js";
+import { sleep } from "./helpers.js";
+import { resolveClaimStorage } from "./storage.js";
+import { exportRewardsHistory } from "./export.js";
+
+/**
+ * Totals of rewards history items.
+ *
+ * @typedef {Object} RewardsTotals
+ * @property {number} userRewardsEarned - The sum of user_rewards_earned.
+ * @property {number} poolRewardsEarned - The sum of pool_rewards_earned.
+ * @property {number} bestDifficulty - The highest pool_best_solution_difficulty, 0 if there are no items.
+ * @property {number} submissions - The number of items.
+ */
+
+/**
+ * Rewards history totals, overall, per epoch and per pool.
+ *
+ * @typedef {Object} RewardsHistorySummary
+ * @property {RewardsTotals} totals - The totals of every item.
+ * @property {Array<RewardsTotals & { epoch: number }>} epochs - The totals of each epoch, in ascending order.
+ * @property {Array<RewardsTotals & { pool: string }>} pools - The totals of each pool across epochs, sorted by name.
+ */
+
+function emptyTotals() {
+  return {
+    userRewardsEarned: 0,
+    poolRewardsEarned: 0,
+    bestDifficulty: 0,
+    submissions: 0,
+  };
+}
+
+function addToTotals(totals, item) {
+  totals.userRewardsEarned += Number(item.user_rewards_earned) || 0;
+  totals.poolRewardsEarned += Number(item.pool_rewards_earned) || 0;
+  totals.bestDifficulty = Math.max(
+    totals.bestDifficulty,
+    Number(item.pool_best_solution_difficulty) || 0
+  );
+  totals.submissions++;
+}
+
+/**
+ * Sums rewards history items per epoch and per pool.
+ *
+ * @param {Iterable<object>|AsyncIterable<object>} items - History items with an `epoch` field, such as the ones of Rewards.historyIterator().
+ * @returns {Promise<RewardsHistorySummary>} The totals.
+ */
+export async function aggregateRewardsHistory(items) {
+  const totals = emptyTotals();
+  const epochs = new Map();
+  const pools = new Map();
+  for await (const item of items) {
+    addToTotals(totals, item);
+    if (!epochs.has(item.epoch)) epochs.set(item.epoch, emptyTotals());
+    addToTotals(epochs.get(item.epoch), item);
+    if (!pools.has(item.pool)) pools.set(item.pool, emptyTotals());
+    addToTotals(pools.get(item.pool), item);
+  }
+  return {
+    totals,
+    epochs: [...epochs]
+      .sort(([a], [b]) => a - b)
+      .map(([epoch, epochTotals]) => ({ epoch, ...epochTotals })),
+    pools: [...pools]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([pool, poolTotals]) => ({ pool, ...poolTotals })),
+  };
+}
+
+// The pending append of each claim log, shared by every Rewards object of the same API key
+const claimLogWrites = new Map();
 
 /**
  * Represents a Rewards object.
@@ -14,26 +88,29 @@ export class Rewards {
   constructor(apiKey, claimKey, config) {
     this.apiKey = apiKey;
     this.claimKey = claimKey;
-    this.config = config;
+    this.config = createConfig(config);
+    this.logger = getLogger(this.config).child({
+      component: "rewards",
+      apiKeyHash: shortHash(apiKey),
+    });
   }
 
   /**
    * Retrieves information about rewards.
    * @returns {Promise<object>} - The rewards information.
+   * @throws {CashCaptchaError} - If the rewards information could not be fetched.
    */
   async info() {
-    logDebug(`Fetching rewards info`);
+    this.logger.debug(`Fetching rewards info`);
     try {
-      const response = await axios.get(`${this.config.apiUrl}/rewards/info`, {
-        headers: {
-          "Content-Type": "application/json",
-          "X-API-KEY": this.apiKey,
-        },
+      const data = await request(this.config, {
+        path: "/rewards/info",
+        headers: { "X-API-KEY": this.apiKey },
       });
-      logDebug(`Response status: ${response.data.status}`);
-      return response.data;
+      this.logger.debug(`Response status: ${data.status}`);
+      return data;
     } catch (error) {
-      logError(`[info] Error fetching rewards info: ${error.message}`);
+      this.logger.error(`[info] Error fetching rewards info: ${error.message}`);
       throw error;
     }
   }
@@ -43,63 +120,212 @@ export class Rewards {
    * @param {number} epoch - The epoch number.
    * @param {number} [page=0] - The page number.
    * @param {number} [itemsPerPage=10] - The number of items per page.
+   * @param {object} [options] - The request options.
+   * @param {AbortSignal} [options.signal] - Aborts the request.
    * @returns {Promise<object>} - The rewards history.
+   * @throws {CashCaptchaError} - If the rewards history could not be fetched.
    */
-  async history(epoch, page = 0, itemsPerPage = 10) {
+  async history(epoch, page = 0, itemsPerPage = 10, { signal } = {}) {
     try {
-      logDebug(`Fetching rewards history for epoch: ${epoch}`);
-      const response = await axios.get(
-        `${this.config.apiUrl}/rewards/history`,
-        {
-          params: {
-            epoch,
-            offset: page * itemsPerPage,
-            limit: itemsPerPage,
-          },
-          headers: {
-            "Content-Type": "application/json",
-            "X-API-KEY": this.apiKey,
-          },
-        }
-      );
-      logDebug(`Response status: ${response.data.status}`);
-      return response.data;
+      this.logger.debug(`Fetching rewards history for epoch: ${epoch}`);
+      const data = await request(this.config, {
+        path: "/rewards/history",
+        params: {
+          epoch,
+          offset: page * itemsPerPage,
+          limit: itemsPerPage,
+        },
+        headers: { "X-API-KEY": this.apiKey },
+        signal,
+      });
+      this.logger.debug(`Response status: ${data.status}`);
+      return data;
     } catch (error) {
-      logError(`[history] Error fetching rewards history: ${error.message}`);
+      this.logger.error(
+        `[history] Error fetching rewards history: ${error.message}`
+      );
       throw error;
     }
   }
 
+  /**
+   * Walks the rewards history of a range of epochs, one page at a time. Pages are only fetched as the
+   * items are consumed, so breaking out of the loop stops the requests.
+   *
+   * A page that is still rate limited after the retries of the request is fetched again after the
+   * delay requested by the API, up to maxRetries more times.
+   *
+   * @param {object} options - The iteration options.
+   * @param {number} [options.fromEpoch=0] - The first epoch.
+   * @param {number} options.toEpoch - The last epoch, included. Epochs are walked in descending order if it is lower than fromEpoch.
+   * @param {number} [options.pageSize=100] - The number of items fetched per request.
+   * @param {AbortSignal} [options.signal] - Stops the iteration with an AbortError.
+   * @yields {object} The history items, each with an `epoch` field added.
+   * @throws {CashCaptchaError} - If a page could not be fetched.
+   */
+  async *historyIterator({
+    fromEpoch = 0,
+    toEpoch,
+    pageSize = 100,
+    signal,
+  } = {}) {
+    for (const [name, value] of Object.entries({ fromEpoch, toEpoch })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new RangeError(`${name} must be an integer of at least 0`);
+      }
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new RangeError("pageSize must be a positive integer");
+    }
+
+    const step = fromEpoch <= toEpoch ? 1 : -1;
+    for (let epoch = fromEpoch; epoch !== toEpoch + step; epoch += step) {
+      for (let page = 0; ; page++) {
+        const { results = [], total = 0 } = await this.historyPage(
+          epoch,
+          page,
+          pageSize,
+          signal
+        );
+        for (const item of results) {
+          yield { epoch, ...item };
+        }
+        if (results.length < pageSize || (page + 1) * pageSize >= total) {
+          break;
+        }
+      }
+    }
+  }
+
+  async historyPage(epoch, page, pageSize, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.history(epoch, page, pageSize, { signal });
+      } catch (error) {
+        if (
+          !(error instanceof RateLimitError) ||
+          attempt >= this.config.maxRetries
+        ) {
+          throw error;
+        }
+        const delay =
+          error.retryAfter !== null
+            ? error.retryAfter
+            : getBackoffDelay(attempt, this.config);
+        this.logger.warn(
+          `[history] Rate limited, fetching epoch ${epoch} page ${page} again in ${Math.round(
+            delay / 1000
+          )}s`
+        );
+        await sleep(delay, signal);
+        if (signal && signal.aborted) {
+          throw new AbortError("History iteration aborted", {
+            code: "ABORTED",
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Walks the rewards history of a range of epochs and sums it, see historyIterator and aggregateRewardsHistory.
+   * @param {object} options - The iteration options, see historyIterator.
+   * @returns {Promise<RewardsHistorySummary>} The totals.
+   */
+  historySummary(options) {
+    return aggregateRewardsHistory(this.historyIterator(options));
+  }
+
   /**
    * Initiates a rewards claim.
-   * @param {number} amount - The amount to claim.
+   * @param {number} amount - The amount of ORE to claim, in base units (1 ORE is 10^11 base units).
    * @param {string} withdrawalToken - The withdrawal token.
    * @param {string} withdrawalAddress - The withdrawal address.
    * @returns {Promise<object>} - The claim response.
+   * @throws {RangeError} - If the amount is not a positive integer.
+   * @throws {ClaimError|AuthError|RateLimitError|NetworkError} - If the claim failed.
    */
   async claim(amount, withdrawalToken, withdrawalAddress) {
-    logDebug(`Initiating rewards claim with amount: ${amount}`);
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new RangeError("amount must be a positive integer of base units");
+    }
+    this.logger.debug(`Initiating rewards claim with amount: ${amount}`);
     try {
-      const response = await axios.post(
-        `${this.config.apiUrl}/rewards/claim`,
-        {
+      const data = await request(this.config, {
+        method: "post",
+        path: "/rewards/claim",
+        data: {
           amount,
           withdrawalToken,
           withdrawalAddress,
         },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-API-KEY": this.apiKey,
-            "X-CLAIM-KEY": this.claimKey,
-          },
-        }
-      );
-      logDebug(`Response status: ${response.data.status}`);
-      return response.data;
+        headers: {
+          "X-API-KEY": this.apiKey,
+          "X-CLAIM-KEY": this.claimKey,
+        },
+        errorClass: ClaimError,
+      });
+      this.logger.debug(`Response status: ${data.status}`);
+      await this.recordClaim({
+        time: new Date().toISOString(),
+        amount,
+        withdrawalToken,
+        withdrawalAddress,
+        status: data.status !== undefined ? data.status : null,
+      });
+      return data;
     } catch (error) {
-      logError(`[claim] Error claiming rewards: ${error.message}`);
+      this.logger.error(`[claim] Error claiming rewards: ${error.message}`);
       throw error;
     }
   }
+
+  // One log per API key, named after its hash so that the key is not stored
+  get claimLogKey() {
+    return `cashCaptchaClaims:${shortHash(this.apiKey)}`;
+  }
+
+  /**
+   * Returns the claims recorded by claim(), oldest first. Only claims accepted by the API are recorded.
+   * @returns {Promise<Array<{ time: string, amount: number, withdrawalToken: string, withdrawalAddress: string, status: (string|null) }>>}
+   * The claims, with their time as an ISO 8601 string and their amount in base units.
+   * @throws {ConfigError} - In Node.js, if the claimStorage option is not set.
+   */
+  async claims() {
+    const value = await resolveClaimStorage(this.config).get(this.claimLogKey);
+    return value ? JSON.parse(value) : [];
+  }
+
+  recordClaim(claim) {
+    const key = this.claimLogKey;
+    // Appends are chained per log, so that concurrent claims do not overwrite each other
+    const previous = claimLogWrites.get(key) || Promise.resolve();
+    const write = previous.then(async () => {
+      // The claim was made; failing to record it must not make it look failed
+      try {
+        const claims = await this.claims();
+        claims.push(claim);
+        await resolveClaimStorage(this.config).set(key, JSON.stringify(claims));
+      } catch (error) {
+        this.logger.warn(
+          `[claim] Could not record the claim: ${error.message}`
+        );
+      }
+    });
+    claimLogWrites.set(key, write);
+    write.then(() => {
+      if (claimLogWrites.get(key) === write) claimLogWrites.delete(key);
+    });
+    return write;
+  }
+
+  /**
+   * Exports the rewards history of a range of epochs and the recorded claims as CSV or NDJSON, see
+   * exportRewardsHistory.
+   * @param {object} options - The export options, see exportRewardsHistory.
+   * @returns {AsyncGenerator<string>} The chunks of the export.
+   */
+  exportHistory(options) {
+    return exportRewardsHistory(this, options);
+  }
 }
@@ -0,0 +1,159 @@
+// shared-worker.js - hosts Solvers inside a SharedWorker for SharedSolver proxies
+import { Solver } from "./solver.js";
+
+const forwardedEvents = [
+  "started",
+  "stopped",
+  "paused",
+  "resumed",
+  "category",
+  "challenge",
+  "progress",
+  "solution",
+  "submitted",
+  "queued",
+  "waiting",
+  "error",
+  "status",
+  "stats",
+];
+
+// One Solver per API key, shared by every page connected with that key
+const hosts = new Map();
+let nextPortId = 0;
+
+// Structured cloning keeps only the name and message of errors.
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status !== undefined ? error.status : null,
+    code: error.code !== undefined ? error.code : null,
+    retryable: !!error.retryable,
+    retryAfter: error.retryAfter !== undefined ? error.retryAfter : null,
+    option: error.option !== undefined ? error.option : null,
+  };
+}
+
+function getHost(apiKey, config) {
+  let host = hosts.get(apiKey);
+  if (!host) {
+    // Pages pause the host for their own visibility and activity, see SharedSolver.
+    const solver = new Solver(apiKey, {
+      ...config,
+      autoPause: false,
+      singleTab: false,
+    });
+    host = { solver, ports: new Set() };
+    for (const event of forwardedEvents) {
+      solver.on(event, (payload) => {
+        const message = {
+          type: "event",
+          event,
+          payload:
+            event === "error" && payload.error
+              ? { ...payload, error: serializeError(payload.error) }
+              : payload,
+        };
+        for (const port of host.ports) {
+          port.postMessage(message);
+        }
+      });
+    }
+    hosts.set(apiKey, host);
+  }
+  return host;
+}
+
+/**
+ * Serves a SharedSolver connected through a MessagePort.
+ *
+ * The first page that attaches with an API key creates the Solver, with its configuration; the
+ * following pages share it. Pause reasons other than "manual" belong to the page that added them
+ * and are cleared when it detaches, for example when it navigates away.
+ *
+ * @param {MessagePort} port - The port of the page.
+ */
+export function connectPort(port) {
+  const portId = nextPortId++;
+  const pauseReasons = new Set();
+  let host = null;
+
+  const hostReason = (reason) =>
+    reason === "manual" ? reason : `${reason}:${portId}`;
+
+  const detach = () => {
+    if (!host) return;
+    host.ports.delete(port);
+    for (const reason of pauseReasons) {
+      host.solver.resume(reason);
+    }
+    pauseReasons.clear();
+    host = null;
+  };
+
+  const handlers = {
+    attach({ apiKey, config }) {
+      host = getHost(apiKey, config);
+      host.ports.add(port);
+      host.solver.logger.debug(`[shared] Page ${portId} attached`);
+      return {
+        paused: host.solver.paused,
+        stats: host.solver.getStats(),
+      };
+    },
+    start() {
+      return host.solver.start();
+    },
+    stop({ options }) {
+      return host.solver.stop(options);
+    },
+    pause({ reason }) {
+      const name = hostReason(reason);
+      if (name !== reason) pauseReasons.add(name);
+      host.solver.pause(name);
+    },
+    resume({ reason }) {
+      const name = hostReason(reason);
+      pauseReasons.delete(name);
+      host.solver.resume(name);
+    },
+    setCpuLimit({ cpuLimit }) {
+      host.solver.setCpuLimit(cpuLimit);
+    },
+    stats() {
+      return host.solver.getStats();
+    },
+    forget() {
+      return host.solver.forgetWorkerId();
+    },
+    detach() {
+      // A page may detach before attaching, or twice
+      if (host) host.solver.logger.debug(`[shared] Page ${portId} detached`);
+      detach();
+      port.close();
+    },
+  };
+
+  port.onmessage = async ({ data }) => {
+    const { id, type } = data;
+    try {
+      if (!handlers[type]) throw new Error(`Unknown command: ${type}`);
+      if (!host && type !== "attach" && type !== "detach") {
+        throw new Error("The page is not attached");
+      }
+      const result = await handlers[type](data);
+      port.postMessage({ type: "result", id, result });
+    } catch (error) {
+      port.postMessage({ type: "result", id, error: serializeError(error) });
+    }
+  };
+  port.start();
+}
+
+if (
+  typeof SharedWorkerGlobalScope !== "undefined" &&
+  globalThis instanceof SharedWorkerGlobalScope
+) {
+  globalThis.onconnect = (event) => connectPort(event.ports[0]);
+}
@@ -0,0 +1,229 @@
+// shared.js - page side of the SharedWorker solver host
+import { EventEmitter } from "./emitter.js";
+import { resolveAutoPauseOptions, watchActivity } from "./activity.js";
+import * as errors from "./errors.js";
+import { createConfig } from "./config.js";
+
+function deserializeError({ name, message, ...details }) {
+  const ErrorClass =
+    errors[name] && errors[name].prototype instanceof errors.CashCaptchaError
+      ? errors[name]
+      : null;
+  if (name === "CashCaptchaError" || ErrorClass) {
+    return new (ErrorClass || errors.CashCaptchaError)(message, details);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * A Solver that runs inside a SharedWorker, so that it keeps its challenge progress while the visitor
+ * navigates between pages of the same origin.
+ *
+ * Every page creates a SharedSolver; they all attach to the same Solver in the worker, and each of
+ * them emits the Solver's events. Methods are sent to the worker as commands. Functions and other
+ * values that cannot be cloned, such as devicePolicy or a custom storage adapter, are not supported
+ * in the configuration, except for autoPause and consent, which are handled by each page.
+ */
+export class SharedSolver extends EventEmitter {
+  /**
+   * Creates a new SharedSolver and attaches it to the SharedWorker host.
+   * @param {string} apiKey - The API key.
+   * @param {object} [userConfig] - The configuration, see createConfig. Only the first page to attach configures the Solver.
+   * @param {object} [options] - The worker options.
+   * @param {string|URL} [options.workerUrl] - The URL of shared-worker.js, if your bundler does not resolve it.
+   */
+  constructor(apiKey, userConfig = {}, { workerUrl } = {}) {
+    super();
+    if (typeof SharedWorker === "undefined") {
+      throw new Error("SharedWorker is not supported in this environment");
+    }
+    // Fail here rather than in the worker
+    createConfig(userConfig);
+    this.apiKey = apiKey;
+    this.autoPauseOptions = resolveAutoPauseOptions(userConfig.autoPause);
+    this.consent = userConfig.consent || null;
+    this.consentController = null;
+    this.pauseReasons = new Set();
+    this.hostPaused = false;
+    this.requests = new Map();
+    this.nextRequestId = 0;
+    this.detached = false;
+
+    const worker = new SharedWorker(
+      workerUrl || new URL("./shared-worker.js", import.meta.url),
+      { type: "module", name: "cash-captcha" }
+    );
+    this.port = worker.port;
+    this.port.onmessage = ({ data }) => this.handleMessage(data);
+
+    const config = { ...userConfig };
+    delete config.autoPause;
+    delete config.consent;
+    this.ready = this.request("attach", { apiKey, config }).then(
+      ({ paused }) => {
+        this.hostPaused = paused;
+      }
+    );
+
+    if (this.consent) {
+      this.onConsentChange = ({ status }) => {
+        if (status !== "denied" || this.detached) return;
+        this.stop()
+          .then(() => this.request("forget"))
+          .catch(() => {});
+      };
+      this.consent.on("change", this.onConsentChange);
+    }
+
+    this.detach = this.detach.bind(this);
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", this.detach);
+    }
+  }
+
+  /**
+   * Whether the shared Solver is paused, by this page or another one.
+   * @type {boolean}
+   */
+  get paused() {
+    return this.hostPaused;
+  }
+
+  request(type, data = {}) {
+    if (this.detached) {
+      return Promise.reject(
+        new errors.AbortError("Detached from the shared solver")
+      );
+    }
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { type, resolve, reject });
+      try {
+        this.port.postMessage({ ...data, type, id });
+      } catch (error) {
+        this.requests.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  handleMessage(data) {
+    if (data.type === "event") {
+      let { payload } = data;
+      if (data.event === "paused") this.hostPaused = true;
+      if (data.event === "resumed") this.hostPaused = false;
+      if (data.event === "error" && payload.error) {
+        payload = { ...payload, error: deserializeError(payload.error) };
+      }
+      this.emit(data.event, payload);
+    } else if (data.type === "result") {
+      const request = this.requests.get(data.id);
+      if (!request) return;
+      this.requests.delete(data.id);
+      if (data.error) {
+        request.reject(deserializeError(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    }
+  }
+
+  /**
+   * Starts the shared Solver, or joins it if another page already started it. With the consent option,
+   * this page waits for the visitor to allow solving first.
+   * @returns {Promise<void>} Resolves once the shared Solver has stopped or this page has detached.
+   */
+  async start() {
+    await this.ready;
+    if (this.consent) {
+      this.consentController = new AbortController();
+      const status = await this.consent.waitForDecision(
+        this.consentController.signal
+      );
+      this.consentController = null;
+      if (status !== "granted" || this.detached) return;
+    }
+    const stopWatchingActivity = this.autoPauseOptions
+      ? watchActivity(this, this.autoPauseOptions)
+      : null;
+    try {
+      await this.request("start");
+    } finally {
+      if (stopWatchingActivity) stopWatchingActivity();
+    }
+  }
+
+  /**
+   * Stops the shared Solver for every page.
+   * @param {object} [options] - The stop options, see Solver.stop().
+   * @returns {Promise<void>} Resolves once the shared Solver has stopped.
+   */
+  stop(options = {}) {
+    if (this.consentController) this.consentController.abort();
+    return this.request("stop", { options });
+  }
+
+  /**
+   * Pauses the shared Solver. Pauses other than "manual" are cleared when this page detaches.
+   * @param {string} [reason="manual"] - Why the solver is paused.
+   */
+  pause(reason = "manual") {
+    if (this.pauseReasons.has(reason)) return;
+    this.pauseReasons.add(reason);
+    this.request("pause", { reason }).catch(() => {});
+  }
+
+  /**
+   * Clears a pause reason added with pause().
+   * @param {string} [reason="manual"] - The reason to clear.
+   */
+  resume(reason = "manual") {
+    if (!this.pauseReasons.delete(reason)) return;
+    this.request("resume", { reason }).catch(() => {});
+  }
+
+  /**
+   * Changes how much CPU each worker of the shared Solver may use.
+   * @param {number} cpuLimit - The percentage of a core each worker may use, from 1 to 100.
+   */
+  setCpuLimit(cpuLimit) {
+    if (!(cpuLimit >= 1 && cpuLimit <= 100)) {
+      throw new RangeError("cpuLimit must be a number from 1 to 100");
+    }
+    this.request("setCpuLimit", { cpuLimit }).catch(() => {});
+  }
+
+  /**
+   * Returns statistics about the shared Solver.
+   * @returns {Promise<object>} The statistics, see Solver.getStats().
+   */
+  getStats() {
+    return this.request("stats");
+  }
+
+  /**
+   * Detaches this page from the shared Solver without stopping it. Called automatically on pagehide.
+   */
+  detach() {
+    if (this.detached) return;
+    this.detached = true;
+    if (this.consentController) this.consentController.abort();
+    if (this.consent) this.consent.off("change", this.onConsentChange);
+    if (typeof window !== "undefined") {
+      window.removeEventListener("pagehide", this.detach);
+    }
+    this.port.postMessage({ type: "detach" });
+    this.port.close();
+    // start() resolves like it does when the solver stops; other commands fail
+    for (const { type, resolve, reject } of this.requests.values()) {
+      if (type === "start") {
+        resolve();
+      } else {
+        reject(new errors.AbortError("Detached from the shared solver"));
+      }
+    }
+    this.requests.clear();
+  }
+}
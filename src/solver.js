@@ -1,212 +1,720 @@
 // solver.js
-import { createConfig, setGlobalConfig } from "./config.js";
-import { categorizeDevicePerformance } from "./devices.js";
+import { createConfig } from "./config.js";
+import {
+  categorizeDevicePerformance,
+  watchDevicePerformance,
+} from "./devices.js";
 import { getChallenge, submitSolution } from "./api.js";
-import { logInfo, logError, logWarn, logDebug } from "./print.js";
+import { AbortError, AuthError, RateLimitError } from "./errors.js";
+import { WorkerPool } from "./pool.js";
+import { SolutionQueue, resolveQueueStore } from "./queue.js";
+import { resolveStorage } from "./storage.js";
+import { runInLeaderTab, supportsTabCoordination } from "./tabs.js";
+import { StatsCollector } from "./stats.js";
+import { EventEmitter } from "./emitter.js";
+import { sleep } from "./helpers.js";
+import { resolveAutoPauseOptions, watchActivity } from "./activity.js";
+import { getLogger, shortHash } from "./print.js";
 
 const isNode = typeof window === "undefined" && typeof process !== "undefined";
+// False in Node.js and in workers, such as the SharedWorker host
+const hasWindow = typeof window !== "undefined";
 
-let Worker, path, fileURLToPath, __filename, __dirname;
+function resolveWorkerCount(workerCount, deviceInfo) {
+  if (workerCount) return Math.max(1, Math.floor(workerCount));
+  const cores = (deviceInfo && deviceInfo.cores) || 1;
+  return Math.max(1, Math.floor(cores / 2));
+}
 
-if (isNode) {
-  const nodeWorker = await import("worker_threads");
-  const nodePath = await import("path");
-  const nodeUrl = await import("url");
+/**
+ * Events emitted by a Solver instance.
+ *
+ * @typedef {Object} SolverEvents
+ * @property {{}} started - The solve loop has started.
+ * @property {{}} stopped - The solve loop has exited.
+ * @property {{ reasons: string[] }} paused - Solving was paused. `reasons` lists why, for example "manual", "hidden" or "activity".
+ * @property {{}} resumed - Solving was resumed after every pause reason was cleared.
+ * @property {{ category: number, previousCategory: number, deviceInfo: object }} category - The device performance category changed while solving.
+ * @property {{ challenge: string, nonceStart: number, nonceEnd: number, deadline: Date, nextCheckIn: Date }} challenge - A new challenge was received.
+ * @property {{ workerIndex: number, noncesChecked: number, noncesRemaining: number, hashesPerSecond: number, bestDifficulty: number, timeRemaining: number }} progress - Periodic progress of a worker.
+ * @property {{ workerIndex: number, difficulty: number, solution: object }} solution - A worker found a new best solution.
+ * @property {{ difficulty: number, data: object, queued: boolean }} submitted - A solution was accepted by the API. `queued` is true for a solution replayed from the offline queue.
+ * @property {{ difficulty: number, queueSize: number }} queued - A solution could not be submitted and was added to the offline queue.
+ * @property {{ reason: "not_ready"|"next_check_in"|"retry"|"error", delay: number, until: Date }} waiting - The solver is waiting before fetching the next challenge.
+ * @property {{ stage: "automation"|"challenge"|"submit"|"worker"|"loop", message: string, error: (Error|undefined) }} error - Something went wrong. API failures carry a CashCaptchaError subclass in `error`.
+ * The solver keeps running, except after an "automation" error (a crawler or automated browser was detected and solving did not start)
+ * and after an AuthError (the API key was rejected).
+ * @property {SolverStats} stats - Periodic statistics, every statsInterval milliseconds while the solver runs. See {@link SolverStats}.
+ * @property {{ role: "leader"|"follower" }} role - With singleTab, this tab became the one that solves ("leader") or waits for another tab to stop solving ("follower").
+ * @property {string} status - A human readable status message.
+ */
 
-  Worker = nodeWorker.Worker;
-  path = nodePath;
-  fileURLToPath = nodeUrl.fileURLToPath;
-  __filename = fileURLToPath(import.meta.url);
-  __dirname = path.dirname(__filename);
-} else {
-  Worker = window.Worker;
-}
+/**
+ * Solves Cash Captcha challenges in the background.
+ *
+ * A Solver is an event emitter; see {@link SolverEvents} for the events it emits.
+ */
+export class Solver extends EventEmitter {
+  constructor(apiKey, userConfig = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.config = createConfig(userConfig);
+    this.baseLogger = getLogger(this.config).child({
+      component: "solver",
+      apiKeyHash: shortHash(apiKey),
+    });
+    // Adds the challengeId field while a challenge is being solved
+    this.logger = this.baseLogger;
+    this.shouldContinueSolving = false;
+    this.submitBestOnStop = false;
+    this.state = "stopped";
+    this.pool = null;
+    this.abortController = null;
+    this.loopPromise = null;
+    this.pendingStart = null;
+    this.pauseReasons = new Set();
+    this.stopWatchingActivity = null;
+    this.category = null;
+    this.deviceThrottled = false;
+    this.stopWatchingDevice = null;
+    this.queue = null;
+    this.queueTimer = null;
+    this.stopWatchingOnline = null;
+    this.role = null;
+    this.tabChannel = null;
+    this.stats = new StatsCollector();
+    this.statsTimer = null;
+    this.emitStatus = this.emitStatus.bind(this);
+    if (this.config.consent) {
+      this.config.consent.on("change", ({ status }) => {
+        if (status === "denied") this.handleConsentDenied();
+      });
+    }
+  }
 
-setGlobalConfig();
+  /**
+   * Returns statistics about the solver. They are cumulative over the lifetime of the instance.
+   * @returns {SolverStats} The statistics, see {@link SolverStats}.
+   */
+  getStats() {
+    return {
+      state: this.state,
+      role: this.role,
+      queuedSolutions: this.queue ? this.queue.size : 0,
+      ...this.stats.snapshot(),
+    };
+  }
 
-function emitStatus(status) {
-  if (isNode) {
-    logInfo(`Status: ${status}`);
-  } else {
-    logDebug(`Status: ${status}`);
-    window.dispatchEvent(new CustomEvent("solvingStatus", { detail: status }));
+  /**
+   * Whether solving is currently paused.
+   * @type {boolean}
+   */
+  get paused() {
+    return this.pauseReasons.size > 0;
   }
-}
 
-function runWorker(challengeData, deadline) {
-  return new Promise((resolve) => {
-    let worker;
+  /**
+   * Pauses solving. Workers suspend hashing without losing their position in the current challenge,
+   * and no new challenge is fetched until the solver is resumed.
+   * @param {string} [reason="manual"] - Why the solver is paused. Solving resumes once every reason has been cleared with resume().
+   */
+  pause(reason = "manual") {
+    const wasPaused = this.paused;
+    this.pauseReasons.add(reason);
+    if (wasPaused) return;
 
-    if (isNode) {
-      worker = new Worker(path.join(__dirname, "worker.js"), {
-        workerData: challengeData,
-        type: "module",
-      });
-    } else {
-      worker = new Worker(new URL("./worker.js", import.meta.url), {
-        type: "module",
-      });
-      worker.postMessage(challengeData);
+    this.logger.debug(`Pausing solver (${reason})`);
+    if (this.pool) {
+      this.pool.pause();
+    }
+    this.emit("paused", { reasons: [...this.pauseReasons] });
+  }
+
+  /**
+   * Clears a pause reason added with pause(). Solving resumes once no reason is left.
+   * @param {string} [reason="manual"] - The reason to clear.
+   */
+  resume(reason = "manual") {
+    if (!this.pauseReasons.delete(reason) || this.paused) return;
+
+    this.logger.debug(`Resuming solver (${reason})`);
+    if (this.pool) {
+      this.pool.resume();
+    }
+    this.emit("resumed", {});
+  }
+
+  /**
+   * Changes how much CPU each worker may use, for example from a UI slider. Takes effect from the next time slice.
+   * @param {number} cpuLimit - The percentage of one core all workers together may use, from 1 to 100.
+   */
+  setCpuLimit(cpuLimit) {
+    if (!(cpuLimit >= 1 && cpuLimit <= 100)) {
+      throw new RangeError("cpuLimit must be a number from 1 to 100");
     }
+    this.config.cpuLimit = cpuLimit;
+    if (this.pool) {
+      this.pool.setCpuLimit(this.effectiveCpuLimit());
+    }
+  }
 
-    const workDuration = Math.max(0, deadline.getTime() - Date.now());
+  effectiveCpuLimit() {
+    const { cpuLimit } = this.config;
+    return this.deviceThrottled
+      ? Math.max(1, Math.floor(cpuLimit / 2))
+      : cpuLimit;
+  }
 
-    let bestSolution = null;
+  // Pauses at or above the performance threshold, halves the CPU limit while
+  // the device is worse off than when solving started, and otherwise resumes.
+  handleCategoryChange({ category, deviceInfo }, initialCategory) {
+    const previousCategory = this.category;
+    this.category = category;
+    this.logger.debug(
+      `Device category changed from ${previousCategory} to ${category}`
+    );
+    this.emit("category", { category, previousCategory, deviceInfo });
 
-    const timeoutId = setTimeout(() => {
-      emitStatus("Solve duration reached, terminating worker");
-      worker.terminate();
-      logDebug(`Best solution found: ${JSON.stringify(bestSolution, null, 2)}`);
-      resolve(bestSolution);
-    }, workDuration);
+    if (category >= this.config.performanceThreshold) {
+      this.pause("device");
+      return;
+    }
 
-    function handleMessage(event) {
-      const data = isNode ? event : event.data;
-      logInfo(`Received message from worker: ${JSON.stringify(data, null, 2)}`);
-      if (data.type === "status") {
-        emitStatus(data.status);
-        if (!isNode) {
-          window.dispatchEvent(
-            new CustomEvent("workerUpdate", { detail: data })
-          );
-        }
-      } else if (data.type === "solution") {
-        if (
-          !bestSolution ||
-          data.solution.difficulty > bestSolution.difficulty
-        ) {
-          bestSolution = data.solution;
-          logInfo(
-            `New best solution: ${JSON.stringify(bestSolution, null, 2)}`
-          );
-        }
+    const throttled = category > initialCategory;
+    if (throttled !== this.deviceThrottled) {
+      this.deviceThrottled = throttled;
+      if (this.pool) {
+        this.pool.setCpuLimit(this.effectiveCpuLimit());
       }
     }
+    this.resume("device");
+  }
 
-    function handleError(error) {
-      clearTimeout(timeoutId);
-      logError(`[runWorker] Error in worker: ${error.message}`);
-      emitStatus("Error in worker");
-      worker.terminate();
-      resolve(bestSolution);
+  whenResumed(signal) {
+    if (!this.paused || signal.aborted) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        this.off("resumed", done);
+        signal.removeEventListener("abort", done);
+        resolve();
+      };
+      this.once("resumed", done);
+      signal.addEventListener("abort", done, { once: true });
+    });
+  }
+
+  /**
+   * Starts solving. Calling start() while the solver is running has no effect; calling it while the solver
+   * is stopping starts it again once the previous solve loop has exited. With the consent option, solving starts once the visitor has allowed it, and start() resolves without
+   * solving if they deny it.
+   * @returns {Promise<void>} Resolves once the solve loop has exited.
+   */
+  async start() {
+    if (this.loopPromise) {
+      if (this.shouldContinueSolving) return this.loopPromise;
+      // A stop is in progress; a stop() called before the old loop exits cancels this start
+      const pendingStart = {};
+      this.pendingStart = pendingStart;
+      await this.loopPromise;
+      if (this.pendingStart !== pendingStart) return;
+      this.pendingStart = null;
+      return this.start();
+    }
+    this.logger.debug(
+      `Starting solver with API key hash: ${shortHash(this.apiKey)}`
+    );
+    this.shouldContinueSolving = true;
+    this.submitBestOnStop = false;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    const loop = this.waitForConsent(signal).then((granted) => {
+      if (!granted || !this.shouldContinueSolving) return;
+      return this.config.singleTab && supportsTabCoordination()
+        ? runInLeaderTab(this, () => this.solveLoop(), signal)
+        : this.solveLoop();
+    });
+    this.loopPromise = loop.finally(() => {
+      this.loopPromise = null;
+    });
+    return this.loopPromise;
+  }
+
+  /**
+   * Stops solving. Pending requests and waits are aborted and the workers are terminated.
+   * @param {object} [options] - The stop options.
+   * @param {boolean} [options.submitBest=false] - Submit the best solution of the current challenge before shutting down.
+   * @returns {Promise<void>} Resolves once the solve loop has exited.
+   */
+  stop({ submitBest = false } = {}) {
+    this.logger.debug(
+      `Stopping solver with API key hash: ${shortHash(this.apiKey)}`
+    );
+    this.shouldContinueSolving = false;
+    this.submitBestOnStop = submitBest;
+    this.pendingStart = null;
+
+    const keepSubmission =
+      submitBest && (this.state === "solving" || this.state === "submitting");
+    if (this.abortController && !keepSubmission) {
+      this.abortController.abort();
     }
+    if (this.pool) {
+      this.pool.cancel();
+    }
+    return this.loopPromise || Promise.resolve();
+  }
+
+  async waitForConsent(signal) {
+    const { consent } = this.config;
+    if (!consent) return true;
+    await consent.ready;
+    if (consent.status === "pending") {
+      this.emitStatus("Waiting for consent");
+    }
+    const status = await consent.waitForDecision(signal);
+    if (status === "denied") {
+      this.logger.info("Consent denied, not solving");
+    }
+    return status === "granted";
+  }
+
+  async handleConsentDenied() {
+    this.logger.info("Consent revoked, stopping");
+    await this.stop();
+    // After the loop exits, so that a late challenge response cannot store it again
+    await this.forgetWorkerId();
+  }
 
+  /**
+   * Removes the stored captchaWorkerId, so that the API no longer associates the next challenges with
+   * this visitor. Called when consent is revoked.
+   * @returns {Promise<void>}
+   */
+  async forgetWorkerId() {
+    try {
+      await resolveStorage(this.config).remove("captchaWorkerId");
+    } catch (error) {
+      this.logger.warn(
+        `Could not remove the captchaWorkerId: ${error.message}`
+      );
+    }
+  }
+
+  emit(event, payload) {
+    // Each tab reports its own role
+    if (this.role === "leader" && event !== "role") {
+      try {
+        this.tabChannel.postMessage({ event, payload });
+      } catch (error) {
+        this.logger.debug(
+          `Could not share "${event}" with other tabs: ${error.message}`
+        );
+      }
+    }
+    return super.emit(event, payload);
+  }
+
+  emitStatus(status) {
+    this.emit("status", status);
     if (isNode) {
-      worker.on("message", handleMessage);
-      worker.on("error", handleError);
+      this.logger.info(`Status: ${status}`);
     } else {
-      worker.onmessage = handleMessage;
-      worker.onerror = handleError;
+      this.logger.debug(`Status: ${status}`);
     }
-  });
-}
+    if (hasWindow) {
+      // Kept for integrations that listen on window. Prefer solver.on().
+      window.dispatchEvent(
+        new CustomEvent("solvingStatus", { detail: status })
+      );
+    }
+  }
 
-export class Solver {
-  constructor(apiKey, userConfig = {}) {
-    this.apiKey = apiKey;
-    this.config = createConfig(userConfig);
-    setGlobalConfig(this.config);
-    this.shouldContinueSolving = false;
+  emitError(stage, message, error) {
+    this.stats.error();
+    this.emit("error", { stage, message, error });
   }
 
-  async start() {
-    logDebug(`Starting solver with API key: ${this.apiKey}`);
-    this.shouldContinueSolving = true;
-    await this.solveLoop();
+  async wait(reason, delay) {
+    this.state = "waiting";
+    this.emit("waiting", {
+      reason,
+      delay,
+      until: new Date(Date.now() + delay),
+    });
+    const waitStart = Date.now();
+    await sleep(delay, this.abortController.signal);
+    this.stats.waited(Date.now() - waitStart);
   }
 
-  stop() {
-    this.shouldContinueSolving = false;
-    logDebug(`Stopping solver with API key: ${this.apiKey}`);
+  handleWorkerMessage(data, workerIndex) {
+    this.logger.debug(
+      `Received message from worker ${workerIndex}: ${JSON.stringify(data)}`
+    );
+    if (data.type === "progress") {
+      this.stats.progress(workerIndex, data);
+      this.emit("progress", {
+        workerIndex,
+        noncesChecked: data.noncesChecked,
+        noncesRemaining: data.noncesRemaining,
+        hashesPerSecond: data.hashesPerSecond,
+        bestDifficulty: data.bestDifficulty,
+        timeRemaining: data.timeRemaining,
+      });
+    } else if (data.type === "status") {
+      this.emitStatus(data.status);
+    } else if (data.type === "solution") {
+      this.logger.info(
+        `New best solution: ${JSON.stringify(data.solution, null, 2)}`
+      );
+      this.emit("solution", {
+        workerIndex,
+        difficulty: data.solution.difficulty,
+        solution: data.solution,
+      });
+    }
+    if (hasWindow && (data.type === "status" || data.type === "progress")) {
+      // Kept for integrations that listen on window. Prefer solver.on().
+      window.dispatchEvent(new CustomEvent("workerUpdate", { detail: data }));
+    }
+  }
+
+  handleWorkerError(error, workerIndex) {
+    this.emitStatus("Error in worker");
+    this.emitError(
+      "worker",
+      `Error in worker ${workerIndex}: ${error.message}`,
+      error
+    );
   }
 
   async solveLoop() {
-    logDebug(`Starting solve loop.`);
+    this.logger.debug(`Starting solve loop.`);
     let loopsCompleted = 0;
-    const { category } = await categorizeDevicePerformance();
+    const { signal } = this.abortController;
+    const categorizeOptions = {
+      policy: this.config.devicePolicy,
+      benchmark: this.config.benchmark,
+      botPatterns: this.config.botPatterns,
+      botAllowlist: this.config.botAllowlist,
+      allowAutomation: this.config.allowAutomation,
+      logger: this.baseLogger.child({ component: "devices" }),
+    };
+    const { category, deviceInfo } = await categorizeDevicePerformance(
+      categorizeOptions
+    );
+    if (deviceInfo.isBot && !this.config.allowAutomation) {
+      this.logger.warn(
+        `Automation detected (${deviceInfo.botReason}), not solving`
+      );
+      this.emitError(
+        "automation",
+        `Automation detected (${deviceInfo.botReason}), not solving`
+      );
+      return;
+    }
     const runIndefinitely = category < this.config.performanceThreshold;
+    if (!runIndefinitely || !this.shouldContinueSolving) return;
+    this.category = category;
+    this.deviceThrottled = false;
 
-    while (runIndefinitely && this.shouldContinueSolving) {
-      if (loopsCompleted === 0) {
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      }
+    this.queue = new SolutionQueue(
+      resolveQueueStore(this.config, this.apiKey),
+      this.config,
+      this.apiKey
+    );
+    // Loaded before the workers are spawned, so that nothing needs cleaning up if the store fails
+    await this.queue.load();
+    if (!this.shouldContinueSolving) return;
 
-      try {
-        const challengeData = await getChallenge(
-          this.apiKey,
-          this.config,
-          emitStatus
-        );
-        if (!challengeData) {
-          logWarn(`Failed to get challenge, retrying`);
-          emitStatus("Failed to get challenge, retrying");
-          await new Promise((resolve) =>
-            setTimeout(resolve, this.config.retryDelay)
-          );
-          continue;
-        }
+    const workerCount = resolveWorkerCount(this.config.workerCount, deviceInfo);
+    this.pool = new WorkerPool(workerCount, {
+      onMessage: (data, index) => this.handleWorkerMessage(data, index),
+      onError: (error, index) => this.handleWorkerError(error, index),
+      sliceDuration: this.config.sliceDuration,
+      cpuLimit: this.effectiveCpuLimit(),
+      logger: this.baseLogger.child({ component: "pool" }),
+      workerConfig: {
+        logLevel: this.config.logLevel,
+        logFormat: this.config.logFormat,
+      },
+    });
+    if (this.paused) {
+      this.pool.pause();
+    }
+    this.pool.start();
 
-        if (challengeData.status === "not_ready") {
-          await new Promise((resolve) =>
-            setTimeout(resolve, challengeData.retryDelay)
-          );
-          continue;
+    if (!isNode) {
+      // Workers also receive online events on their global scope
+      const onOnline = () => this.replayQueue({ force: true });
+      globalThis.addEventListener("online", onOnline);
+      this.stopWatchingOnline = () =>
+        globalThis.removeEventListener("online", onOnline);
+    }
+    this.stats.started();
+    this.emit("started", {});
+    this.replayQueue();
+    if (this.config.statsInterval > 0) {
+      this.statsTimer = setInterval(
+        () => this.emit("stats", this.getStats()),
+        this.config.statsInterval
+      );
+    }
+
+    const autoPauseOptions = resolveAutoPauseOptions(this.config.autoPause);
+    if (autoPauseOptions && hasWindow) {
+      this.stopWatchingActivity = watchActivity(this, autoPauseOptions);
+    }
+
+    if (this.config.deviceCheckInterval > 0) {
+      this.stopWatchingDevice = watchDevicePerformance(
+        (result) => this.handleCategoryChange(result, category),
+        {
+          ...categorizeOptions,
+          initialCategory: category,
+          interval: this.config.deviceCheckInterval,
         }
+      );
+    }
 
-        if (!this.shouldContinueSolving) break;
+    try {
+      while (this.shouldContinueSolving) {
+        if (loopsCompleted === 0) {
+          await sleep(500, signal);
+          if (!this.shouldContinueSolving) break;
+        }
 
-        logDebug(`Starting solution search`);
-        emitStatus("Starting solution search");
-        const solution = await runWorker(
-          challengeData,
-          new Date(challengeData.deadline)
-        );
+        if (this.paused) {
+          this.state = "paused";
+          this.emitStatus("Paused");
+          await this.whenResumed(signal);
+          if (!this.shouldContinueSolving) break;
+        }
 
-        if (solution) {
-          logDebug(`Submitting solution`);
-          emitStatus("Submitting solution");
+        try {
+          this.state = "fetching";
+          let challengeData;
           try {
-            const submissionResult = await submitSolution(
+            challengeData = await getChallenge(
               this.apiKey,
-              solution,
-              challengeData.challenge,
               this.config,
-              emitStatus
+              this.emitStatus,
+              signal
             );
-            logDebug(
-              `Submission result: ${JSON.stringify(submissionResult, null, 2)}`
-            );
-            emitStatus(`Solution submitted: ${submissionResult.status}`);
           } catch (error) {
-            logError(`Error submitting solution: ${error.message}`);
-            emitStatus(`Error submitting solution: ${error.message}`);
+            if (error instanceof AbortError) break;
+            this.emitError("challenge", error.message, error);
+            if (error instanceof AuthError) {
+              this.logger.error(
+                `[solveLoop] API key rejected, stopping solver`
+              );
+              this.emitStatus("API key rejected, stopping solver");
+              break;
+            }
+            this.logger.warn(`Failed to get challenge, retrying`);
+            this.emitStatus("Failed to get challenge, retrying");
+            const retryAfter =
+              error instanceof RateLimitError ? error.retryAfter : null;
+            await this.wait(
+              "retry",
+              retryAfter !== null ? retryAfter : this.config.retryDelay
+            );
+            continue;
           }
-        } else {
-          emitStatus("No solution found");
-        }
+          if (!this.shouldContinueSolving) break;
+          // The API is reachable again
+          this.replayQueue();
 
-        if (!this.shouldContinueSolving) break;
+          if (challengeData.status === "not_ready") {
+            await this.wait("not_ready", Math.max(0, challengeData.retryDelay));
+            continue;
+          }
 
-        const nextCheckIn = new Date(challengeData.nextCheckIn);
-        const now = new Date();
-        const timeToWait = Math.max(0, nextCheckIn.getTime() - now.getTime());
+          this.stats.challengeFetched();
+          this.logger = this.baseLogger.child({
+            challengeId: shortHash(challengeData.challenge),
+          });
+          this.emit("challenge", {
+            challenge: challengeData.challenge,
+            nonceStart: challengeData.nonceStart,
+            nonceEnd: challengeData.nonceEnd,
+            deadline: new Date(challengeData.deadline),
+            nextCheckIn: new Date(challengeData.nextCheckIn),
+          });
 
-        emitStatus(
-          `Waiting ${Math.round(timeToWait / 1000)} seconds until next check-in`
-        );
-        await new Promise((resolve) => setTimeout(resolve, timeToWait));
-      } catch (error) {
-        logError(`[solveLoop] Error in solving loop: ${error.message}`);
-        emitStatus("Error in solving loop");
-        await new Promise((resolve) => setTimeout(resolve, 5000));
+          this.logger.debug(`Starting solution search`);
+          this.emitStatus("Starting solution search");
+          this.state = "solving";
+          this.stats.solvingStarted();
+          const solution = await this.pool
+            .solve(challengeData, new Date(challengeData.deadline))
+            .finally(() => this.stats.solvingFinished());
+          this.emitStatus("Solution search finished");
+
+          if (
+            solution &&
+            (this.shouldContinueSolving || this.submitBestOnStop)
+          ) {
+            await this.submit(solution, challengeData, signal);
+          } else if (!solution) {
+            this.emitStatus("No solution found");
+          }
+
+          this.logger = this.baseLogger;
+          if (!this.shouldContinueSolving) break;
+
+          const nextCheckIn = new Date(challengeData.nextCheckIn);
+          const now = new Date();
+          const timeToWait = Math.max(0, nextCheckIn.getTime() - now.getTime());
+
+          this.emitStatus(
+            `Waiting ${Math.round(
+              timeToWait / 1000
+            )} seconds until next check-in`
+          );
+          await this.wait("next_check_in", timeToWait);
+        } catch (error) {
+          this.logger.error(
+            `[solveLoop] Error in solving loop: ${error.message}`
+          );
+          this.emitStatus("Error in solving loop");
+          this.emitError("loop", error.message, error);
+          await this.wait("error", 5000);
+        }
+        loopsCompleted++;
+      }
+    } finally {
+      if (this.stopWatchingActivity) {
+        this.stopWatchingActivity();
+        this.stopWatchingActivity = null;
       }
-      loopsCompleted++;
+      if (this.stopWatchingDevice) {
+        this.stopWatchingDevice();
+        this.stopWatchingDevice = null;
+        this.resume("device");
+      }
+      if (this.stopWatchingOnline) {
+        this.stopWatchingOnline();
+        this.stopWatchingOnline = null;
+      }
+      clearTimeout(this.queueTimer);
+      this.queueTimer = null;
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
+      if (this.queue.replaying) {
+        await this.queue.replaying;
+      }
+      this.pool.terminate();
+      this.pool = null;
+      this.logger = this.baseLogger;
+      this.state = "stopped";
+      this.stats.stopped();
+      this.emit("stopped", {});
     }
   }
 
+  async submit(solution, challengeData, signal) {
+    this.logger.debug(`Submitting solution`);
+    this.emitStatus("Submitting solution");
+    this.state = "submitting";
+    this.stats.solutionSubmitted();
+    try {
+      const data = await submitSolution(
+        this.apiKey,
+        solution,
+        challengeData.challenge,
+        this.config,
+        this.emitStatus,
+        signal
+      );
+      this.logger.debug(`Submission result: ${JSON.stringify(data, null, 2)}`);
+      this.emitStatus("Solution submitted: success");
+      this.stats.solutionAccepted(solution.difficulty);
+      this.emit("submitted", {
+        difficulty: solution.difficulty,
+        data,
+        queued: false,
+      });
+      this.replayQueue();
+    } catch (error) {
+      if (error instanceof AbortError) return;
+      this.logger.error(`Error submitting solution: ${error.message}`);
+      this.emitStatus(`Error submitting solution: ${error.message}`);
+      this.emitError("submit", error.message, error);
+      if (error.retryable) {
+        await this.enqueue(solution, challengeData);
+      }
+    }
+  }
+
+  // The API accepts a solution until the next challenge is issued, which is
+  // after the solving deadline, so entries expire at the next check-in.
+  async enqueue(solution, challengeData) {
+    const expiresAt = Math.max(
+      new Date(challengeData.deadline).getTime(),
+      new Date(challengeData.nextCheckIn).getTime()
+    );
+    if (await this.queue.add(solution, challengeData.challenge, expiresAt)) {
+      this.logger.info(
+        `Solution queued, ${this.queue.size} waiting for submission`
+      );
+      this.emit("queued", {
+        difficulty: solution.difficulty,
+        queueSize: this.queue.size,
+      });
+      this.scheduleQueueReplay();
+    }
+  }
+
+  replayQueue({ force = false } = {}) {
+    if (!this.queue || this.queue.size === 0 || !this.abortController) return;
+    const { signal } = this.abortController;
+    if (signal.aborted) return;
+    this.queue
+      .replay(
+        async ({ solution, challenge }) => {
+          this.stats.solutionSubmitted();
+          const data = await submitSolution(
+            this.apiKey,
+            solution,
+            challenge,
+            this.config,
+            () => {},
+            signal
+          );
+          this.logger.debug(`Queued solution submitted`);
+          this.stats.solutionAccepted(solution.difficulty);
+          this.emit("submitted", {
+            difficulty: solution.difficulty,
+            data,
+            queued: true,
+          });
+        },
+        { force }
+      )
+      .then(() => this.scheduleQueueReplay())
+      .catch((error) => {
+        this.logger.error(
+          `Could not replay queued solutions: ${error.message}`
+        );
+      });
+  }
+
+  scheduleQueueReplay() {
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+    const nextAttempt = this.queue && this.queue.nextAttemptTime();
+    if (nextAttempt === null || !this.shouldContinueSolving) return;
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = null;
+      this.replayQueue();
+    }, Math.max(0, nextAttempt - Date.now()));
+  }
+
   static initialize(apiKey, userConfig = {}) {
     const solver = new Solver(apiKey, userConfig);
-    solver.start();
+    solver.start().catch((error) => {
+      solver.logger.error(`Solver failed: ${error.message}`);
+    });
     return solver;
   }
 }
@@ -0,0 +1,136 @@
+// stats.js - cumulative statistics of a Solver
+
+/**
+ * Statistics returned by Solver.getStats() and emitted by the stats event.
+ *
+ * @typedef {Object} SolverStats
+ * @property {string} state - The current state: "stopped", "fetching", "solving", "submitting", "waiting" or "paused".
+ * @property {("leader"|"follower"|null)} role - The tab role with singleTab.
+ * @property {number} queuedSolutions - The number of solutions waiting in the offline queue.
+ * @property {number} uptime - The time (in milliseconds) the solver has been running.
+ * @property {number} hashes - The number of nonces hashed.
+ * @property {number} hashRate - The current hash rate of all workers (in hashes per second), 0 when not solving.
+ * @property {number} averageHashRate - The average hash rate while solving (in hashes per second).
+ * @property {number} challengesFetched - The number of challenges received.
+ * @property {number} solutionsSubmitted - The number of solutions sent to the API, including replays from the offline queue.
+ * @property {number} solutionsAccepted - The number of solutions accepted by the API.
+ * @property {number} bestDifficulty - The best difficulty of an accepted solution, 0 if none.
+ * @property {number} averageDifficulty - The average difficulty of the accepted solutions, 0 if none.
+ * @property {number} errors - The number of error events.
+ * @property {number} waitingTime - The time (in milliseconds) spent waiting for the next challenge or a retry.
+ */
+
+/**
+ * Accumulates the statistics of a Solver over its lifetime, across start() and stop().
+ */
+export class StatsCollector {
+  constructor() {
+    this.runTime = 0;
+    this.runningSince = null;
+    this.solvingTime = 0;
+    this.solvingSince = null;
+    this.waitingTime = 0;
+    this.hashes = 0;
+    this.challengesFetched = 0;
+    this.solutionsSubmitted = 0;
+    this.solutionsAccepted = 0;
+    this.bestDifficulty = 0;
+    this.difficultySum = 0;
+    this.errors = 0;
+    // Last progress of each worker: { id, noncesChecked, hashesPerSecond }
+    this.workers = new Map();
+  }
+
+  started() {
+    this.runningSince = Date.now();
+  }
+
+  stopped() {
+    if (this.runningSince !== null) {
+      this.runTime += Date.now() - this.runningSince;
+      this.runningSince = null;
+    }
+  }
+
+  solvingStarted() {
+    this.solvingSince = Date.now();
+  }
+
+  solvingFinished() {
+    if (this.solvingSince !== null) {
+      this.solvingTime += Date.now() - this.solvingSince;
+      this.solvingSince = null;
+    }
+    this.workers.clear();
+  }
+
+  /**
+   * Records a progress message of a worker. Nonce counts are per job, so only the increase since the
+   * previous message of the same job is added.
+   * @param {number} workerIndex - The index of the worker.
+   * @param {object} progress - The progress message.
+   */
+  progress(workerIndex, { id, noncesChecked, hashesPerSecond }) {
+    const previous = this.workers.get(workerIndex);
+    const previousNonces =
+      previous && previous.id === id ? previous.noncesChecked : 0;
+    this.hashes += Math.max(0, noncesChecked - previousNonces);
+    this.workers.set(workerIndex, { id, noncesChecked, hashesPerSecond });
+  }
+
+  challengeFetched() {
+    this.challengesFetched++;
+  }
+
+  solutionSubmitted() {
+    this.solutionsSubmitted++;
+  }
+
+  solutionAccepted(difficulty) {
+    this.solutionsAccepted++;
+    this.bestDifficulty = Math.max(this.bestDifficulty, difficulty);
+    this.difficultySum += difficulty;
+  }
+
+  error() {
+    this.errors++;
+  }
+
+  waited(duration) {
+    this.waitingTime += duration;
+  }
+
+  /**
+   * Returns the statistics collected so far.
+   * @returns {Object} The statistics, without the state, role and queuedSolutions of SolverStats.
+   */
+  snapshot() {
+    const now = Date.now();
+    const uptime =
+      this.runTime + (this.runningSince !== null ? now - this.runningSince : 0);
+    const solvingTime =
+      this.solvingTime +
+      (this.solvingSince !== null ? now - this.solvingSince : 0);
+    let hashRate = 0;
+    for (const { hashesPerSecond } of this.workers.values()) {
+      hashRate += Number(hashesPerSecond) || 0;
+    }
+    return {
+      uptime,
+      hashes: this.hashes,
+      hashRate,
+      averageHashRate:
+        solvingTime > 0 ? Math.round((this.hashes / solvingTime) * 1000) : 0,
+      challengesFetched: this.challengesFetched,
+      solutionsSubmitted: this.solutionsSubmitted,
+      solutionsAccepted: this.solutionsAccepted,
+      bestDifficulty: this.bestDifficulty,
+      averageDifficulty:
+        this.solutionsAccepted > 0
+          ? this.difficultySum / this.solutionsAccepted
+          : 0,
+      errors: this.errors,
+      waitingTime: this.waitingTime,
+    };
+  }
+}
@@ -0,0 +1,282 @@
+// status-element.js - the <cash-captcha-status> custom element
+
+// Lets the module be imported where custom elements do not exist, such as Node.js
+const BaseElement = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+const template = `
+  <style>
+    :host {
+      display: inline-block;
+      font: var(--cash-captcha-font, 13px/1.4 system-ui, sans-serif);
+      color: var(--cash-captcha-color, #1f2328);
+      background: var(--cash-captcha-background, #fff);
+      border: var(--cash-captcha-border, 1px solid #d0d7de);
+      border-radius: var(--cash-captcha-border-radius, 8px);
+      padding: var(--cash-captcha-padding, 8px 12px);
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    .row {
+      display: flex;
+      align-items: center;
+      gap: var(--cash-captcha-gap, 8px);
+      flex-wrap: wrap;
+    }
+    .dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: var(--cash-captcha-stopped-color, #8c959f);
+    }
+    :host([state="solving"]) .dot {
+      background: var(--cash-captcha-solving-color, #1a7f37);
+    }
+    :host([state="waiting"]) .dot {
+      background: var(--cash-captcha-waiting-color, #9a6700);
+    }
+    :host([state="paused"]) .dot {
+      background: var(--cash-captcha-paused-color, #cf222e);
+    }
+    .muted {
+      color: var(--cash-captcha-muted-color, #656d76);
+    }
+    button {
+      font: inherit;
+      color: var(--cash-captcha-button-color, inherit);
+      background: var(--cash-captcha-button-background, transparent);
+      border: var(--cash-captcha-button-border, 1px solid currentColor);
+      border-radius: var(--cash-captcha-button-border-radius, 4px);
+      padding: 2px 8px;
+      cursor: pointer;
+    }
+    input {
+      accent-color: var(--cash-captcha-accent-color, #0969da);
+    }
+    :host([no-controls]) .controls {
+      display: none;
+    }
+  </style>
+  <div class="row">
+    <span class="dot" part="indicator"></span>
+    <span class="state" part="state"></span>
+    <span class="hash-rate muted" part="hash-rate"></span>
+    <span class="check-in muted" part="check-in"></span>
+  </div>
+  <div class="row controls" part="controls">
+    <button type="button" class="toggle" part="button"></button>
+    <label class="muted">
+      CPU <input type="range" class="cpu" min="10" max="100" step="10" part="cpu-limit" />
+      <span class="cpu-value"></span>
+    </label>
+  </div>
+`;
+
+const stateLabels = {
+  solving: "Solving",
+  waiting: "Waiting",
+  paused: "Paused",
+  stopped: "Stopped",
+};
+
+function formatDuration(milliseconds) {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0
+    ? `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`
+    : `${seconds}s`;
+}
+
+/**
+ * Shows the live status of a Solver or SharedSolver, with pause/resume and CPU limit controls for the visitor.
+ *
+ * Set the `solver` property to connect it. The element reflects the current state ("solving", "waiting",
+ * "paused" or "stopped") in its `state` attribute, and the `no-controls` attribute hides the controls.
+ * It is themed with CSS custom properties such as --cash-captcha-background, --cash-captcha-color,
+ * --cash-captcha-font and --cash-captcha-solving-color, and its parts can be styled with ::part().
+ */
+export class CashCaptchaStatusElement extends BaseElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = template;
+    this.currentSolver = null;
+    this.hashRates = new Map();
+    this.nextCheckIn = null;
+    this.solverState = "stopped";
+    this.solverPaused = false;
+    this.visitorPaused = false;
+    this.timer = null;
+
+    const root = this.shadowRoot;
+    this.nodes = {
+      state: root.querySelector(".state"),
+      hashRate: root.querySelector(".hash-rate"),
+      checkIn: root.querySelector(".check-in"),
+      toggle: root.querySelector(".toggle"),
+      cpu: root.querySelector(".cpu"),
+      cpuValue: root.querySelector(".cpu-value"),
+    };
+    this.nodes.toggle.addEventListener("click", () => this.togglePause());
+    this.nodes.cpu.addEventListener("input", () => this.changeCpuLimit());
+
+    this.listeners = {
+      started: () => this.update({ state: "solving" }),
+      challenge: ({ nextCheckIn }) => {
+        this.nextCheckIn = nextCheckIn ? new Date(nextCheckIn) : null;
+        this.update({ state: "solving" });
+      },
+      progress: ({ workerIndex, hashesPerSecond }) => {
+        this.hashRates.set(workerIndex, hashesPerSecond);
+        this.render();
+      },
+      waiting: ({ reason, until }) => {
+        if (reason === "not_ready" || reason === "next_check_in") {
+          this.nextCheckIn = new Date(until);
+        }
+        this.hashRates.clear();
+        this.update({ state: "waiting" });
+      },
+      paused: () => this.update({ paused: true }),
+      resumed: () => this.update({ paused: false }),
+      stopped: () => {
+        this.hashRates.clear();
+        this.nextCheckIn = null;
+        this.update({ state: "stopped" });
+      },
+    };
+  }
+
+  /**
+   * The Solver or SharedSolver shown by the element, or null.
+   * @type {import("./solver.js").Solver|import("./shared.js").SharedSolver|null}
+   */
+  get solver() {
+    return this.currentSolver;
+  }
+
+  set solver(solver) {
+    if (this.currentSolver) {
+      for (const [event, listener] of Object.entries(this.listeners)) {
+        this.currentSolver.off(event, listener);
+      }
+    }
+    this.currentSolver = solver || null;
+    this.hashRates.clear();
+    this.nextCheckIn = null;
+    this.visitorPaused = false;
+    this.solverPaused = !!(solver && solver.paused);
+    this.solverState = "stopped";
+    if (solver) {
+      for (const [event, listener] of Object.entries(this.listeners)) {
+        solver.on(event, listener);
+      }
+      // A SharedSolver has no synchronous state
+      if (solver.state && solver.state !== "stopped") {
+        this.solverState = solver.state === "waiting" ? "waiting" : "solving";
+      }
+      this.nodes.cpu.value = String(
+        (solver.config && solver.config.cpuLimit) || 100
+      );
+    }
+    this.render();
+  }
+
+  connectedCallback() {
+    // A solver set before the element was upgraded is an own property that hides the setter
+    if (Object.prototype.hasOwnProperty.call(this, "solver")) {
+      const solver = this.solver;
+      delete this.solver;
+      this.solver = solver;
+    }
+    // Counts down to the next check-in
+    this.timer = setInterval(() => this.render(), 1000);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * The displayed state: "solving", "waiting", "paused" or "stopped".
+   * @type {string}
+   */
+  get state() {
+    if (this.solverState === "stopped") return "stopped";
+    return this.solverPaused ? "paused" : this.solverState;
+  }
+
+  update({ state, paused }) {
+    if (state !== undefined) this.solverState = state;
+    if (paused !== undefined) this.solverPaused = paused;
+    this.render();
+  }
+
+  togglePause() {
+    if (!this.currentSolver) return;
+    // A separate reason, so that the visitor does not clear pauses made by the site or autoPause
+    if (this.visitorPaused) {
+      this.visitorPaused = false;
+      this.currentSolver.resume("visitor");
+    } else {
+      this.visitorPaused = true;
+      this.currentSolver.pause("visitor");
+    }
+    this.render();
+  }
+
+  changeCpuLimit() {
+    if (!this.currentSolver) return;
+    this.currentSolver.setCpuLimit(Number(this.nodes.cpu.value));
+    this.render();
+  }
+
+  render() {
+    const state = this.state;
+    if (this.getAttribute("state") !== state) {
+      this.setAttribute("state", state);
+    }
+
+    const { nodes } = this;
+    nodes.state.textContent = stateLabels[state];
+
+    const hashRate = [...this.hashRates.values()].reduce((a, b) => a + b, 0);
+    nodes.hashRate.textContent =
+      state === "solving" && hashRate > 0 ? `${hashRate.toFixed(1)} H/s` : "";
+
+    const untilCheckIn = this.nextCheckIn
+      ? this.nextCheckIn.getTime() - Date.now()
+      : null;
+    nodes.checkIn.textContent =
+      untilCheckIn !== null && untilCheckIn > 0 && state !== "stopped"
+        ? `Next check-in in ${formatDuration(untilCheckIn)}`
+        : "";
+
+    nodes.toggle.textContent = this.visitorPaused ? "Resume" : "Pause";
+    nodes.toggle.disabled = !this.currentSolver;
+    nodes.cpu.disabled = !this.currentSolver;
+    nodes.cpuValue.textContent = `${nodes.cpu.value}%`;
+  }
+}
+
+/**
+ * Registers the element, unless a tag with the same name is already defined. Called with the default tag name when
+ * this module is loaded in a browser.
+ *
+ * @param {string} [tagName="cash-captcha-status"] - The tag name of the element.
+ */
+export function defineStatusElement(tagName = "cash-captcha-status") {
+  if (typeof customElements === "undefined" || customElements.get(tagName)) {
+    return;
+  }
+  customElements.define(
+    tagName,
+    // A class can only be registered once, so other tag names get a subclass
+    tagName === "cash-captcha-status"
+      ? CashCaptchaStatusElement
+      : class extends CashCaptchaStatusElement {}
+  );
+}
+
+defineStatusElement();
@@ -0,0 +1,178 @@
+// storage.js - key/value storage adapters for values that outlive a challenge, such as the captchaWorkerId
+import { logWarn } from "./print.js";
+import { ConfigError } from "./errors.js";
+
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+let fs, path, os;
+if (isNode) {
+  fs = (await import("fs")).promises;
+  path = await import("path");
+  os = await import("os");
+}
+
+/**
+ * A key/value storage adapter. Every method may return a promise.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): (string|null|Promise<string|null>)} get - Reads a value, or null if it is not set.
+ * @property {function(string, string): (void|Promise<void>)} set - Writes a value.
+ * @property {function(string): (void|Promise<void>)} remove - Deletes a value.
+ */
+
+/**
+ * Creates a storage adapter that keeps the values in memory only.
+ *
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createMemoryStorage() {
+  const values = new Map();
+  return {
+    get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    set(key, value) {
+      values.set(key, value);
+    },
+    remove(key) {
+      values.delete(key);
+    },
+  };
+}
+
+function createWebStorage(webStorage) {
+  return {
+    get(key) {
+      return webStorage.getItem(key);
+    },
+    set(key, value) {
+      webStorage.setItem(key, value);
+    },
+    remove(key) {
+      webStorage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Creates a storage adapter backed by localStorage (browser only). Values are shared by every tab of the origin
+ * and kept across browser restarts.
+ *
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createLocalStorage() {
+  return createWebStorage(window.localStorage);
+}
+
+/**
+ * Creates a storage adapter backed by sessionStorage (browser only). Values are private to the tab.
+ *
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createSessionStorage() {
+  return createWebStorage(window.sessionStorage);
+}
+
+/**
+ * Creates a storage adapter backed by a JSON file (Node.js only). Values are kept across restarts.
+ *
+ * @param {string} [filePath] - The path of the file. Defaults to storage.json in the .cash-captcha directory of the
+ * user's home directory. Missing directories are created.
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createFileStorage(filePath) {
+  const file =
+    filePath || path.join(os.homedir(), ".cash-captcha", "storage.json");
+  let valuesPromise = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!valuesPromise) {
+      valuesPromise = fs
+        .readFile(file, "utf8")
+        .then((content) => JSON.parse(content))
+        .catch((error) => {
+          if (error.code !== "ENOENT") {
+            logWarn(`[storage] Could not read ${file}: ${error.message}`);
+          }
+          return {};
+        });
+    }
+    return valuesPromise;
+  };
+
+  // Writes are chained so that the file always ends up with the latest values.
+  const write = (values) => {
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const tempFile = `${file}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(values));
+        await fs.rename(tempFile, file);
+      });
+    return writing;
+  };
+
+  return {
+    async get(key) {
+      const values = await load();
+      return key in values ? values[key] : null;
+    },
+    async set(key, value) {
+      const values = await load();
+      values[key] = value;
+      await write(values);
+    },
+    async remove(key) {
+      const values = await load();
+      delete values[key];
+      await write(values);
+    },
+  };
+}
+
+const memoryStorages = new WeakMap();
+
+/**
+ * Picks the storage adapter for a configuration: config.storage if set, otherwise sessionStorage in the browser
+ * and memory in Node.js and in workers. Each configuration, and so each Solver, gets its own memory storage.
+ *
+ * @param {object} config - The configuration object.
+ * @returns {StorageAdapter} The adapter.
+ */
+export function resolveStorage(config) {
+  if (config.storage) return config.storage;
+  if (typeof window !== "undefined") return createSessionStorage();
+  if (!memoryStorages.has(config)) {
+    memoryStorages.set(config, createMemoryStorage());
+  }
+  return memoryStorages.get(config);
+}
+
+let defaultClaimStorage = null;
+
+/**
+ * Picks the storage adapter of the claim log for a configuration: config.claimStorage if set, otherwise
+ * localStorage in the browser. The default adapter is shared by every configuration.
+ *
+ * Node.js has no default: a server has no obvious durable place for accounting records, so the claim log
+ * must be configured explicitly.
+ *
+ * @param {object} config - The configuration object.
+ * @returns {StorageAdapter} The adapter.
+ * @throws {ConfigError} - In Node.js, if config.claimStorage is not set.
+ */
+export function resolveClaimStorage(config) {
+  if (config.claimStorage) return config.claimStorage;
+  if (isNode) {
+    throw new ConfigError(
+      "Set the claimStorage option to record claims in Node.js",
+      { option: "claimStorage" }
+    );
+  }
+  if (!defaultClaimStorage) {
+    defaultClaimStorage = createLocalStorage();
+  }
+  return defaultClaimStorage;
+}
@@ -0,0 +1,61 @@
+// tabs.js - leader election between the tabs of a browser
+
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+/**
+ * Checks whether the browser supports the Web Locks and BroadcastChannel APIs used to coordinate tabs.
+ *
+ * @returns {boolean} True if tabs can be coordinated, false otherwise.
+ */
+export function supportsTabCoordination() {
+  return (
+    !isNode &&
+    typeof BroadcastChannel !== "undefined" &&
+    typeof navigator !== "undefined" &&
+    !!navigator.locks
+  );
+}
+
+/**
+ * Runs the solve loop of a Solver in one tab only.
+ *
+ * Every tab requests the same Web Lock; the tab holding it is the leader and runs the solve loop, and
+ * the others wait passively. The browser releases the lock when the leader's solve loop exits or its
+ * tab is closed, and then hands it to the next waiting tab. The leader broadcasts its events, which
+ * the passive tabs emit on their own Solver instance.
+ *
+ * @param {import("./solver.js").Solver} solver - The solver of this tab.
+ * @param {function(): Promise<void>} solveLoop - Runs the solve loop once this tab is the leader.
+ * @param {AbortSignal} signal - Aborted when the solver is stopped.
+ * @returns {Promise<void>} Resolves once the solver is stopped.
+ */
+export async function runInLeaderTab(solver, solveLoop, signal) {
+  const name = `cash-captcha:${solver.apiKey}`;
+  const channel = new BroadcastChannel(name);
+  channel.onmessage = ({ data }) => {
+    if (solver.role === "follower") {
+      solver.emit(data.event, data.payload);
+    }
+  };
+
+  solver.tabChannel = channel;
+  solver.role = "follower";
+  solver.emit("role", { role: "follower" });
+  solver.logger.debug("Waiting for another tab to stop solving");
+
+  try {
+    await navigator.locks.request(name, { signal }, async () => {
+      solver.logger.debug("This tab is now solving");
+      solver.role = "leader";
+      solver.emit("role", { role: "leader" });
+      await solveLoop();
+    });
+  } catch (error) {
+    // The lock request is aborted when the solver stops while passive
+    if (error.name !== "AbortError") throw error;
+  } finally {
+    channel.close();
+    solver.tabChannel = null;
+    solver.role = null;
+  }
+}
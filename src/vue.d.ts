@@ -0,0 +1,37 @@
+/// <reference path="./index.d.ts" />
+
+import type { App, ComputedRef, ShallowRef } from "vue";
+import type { Solver, SolverStats } from "cash-captcha";
+import type { SolverControls } from "cash-captcha/src/registry.js";
+
+export const CashCaptchaPlugin: {
+  install(
+    app: App,
+    options: { apiKey: string; config?: object; autoStart?: boolean }
+  ): void;
+};
+
+export function useCashCaptcha(options?: {
+  apiKey?: string;
+  config?: object;
+  autoStart?: boolean;
+}): SolverControls & {
+  solver: ShallowRef<Solver | null>;
+  state: ComputedRef<string>;
+  paused: ComputedRef<boolean>;
+  role: ComputedRef<"leader" | "follower" | null>;
+  status: ComputedRef<string | null>;
+  error: ComputedRef<Error | null>;
+  stats: ComputedRef<SolverStats>;
+};
+
+export function useRewardsInfo(
+  claimKey: string,
+  options?: { maxAge?: number; apiKey?: string; config?: object }
+): {
+  data: ComputedRef<object | null>;
+  error: ComputedRef<Error | null>;
+  loading: ComputedRef<boolean>;
+  updatedAt: ComputedRef<number | null>;
+  refresh(): Promise<void>;
+};
@@ -0,0 +1,153 @@
+// vue.js - Vue bindings
+//
+// Requires vue 3. Import it with
+// import { CashCaptchaPlugin, useCashCaptcha } from "cash-captcha/src/vue.js";
+import {
+  computed,
+  getCurrentInstance,
+  inject,
+  onBeforeUnmount,
+  onMounted,
+  shallowRef,
+} from "vue";
+import {
+  getRewardsQuery,
+  getSolverEntry,
+  idleSolverSnapshot,
+  retainSolver,
+} from "./registry.js";
+
+const cashCaptchaKey = Symbol("cash-captcha");
+
+/**
+ * Provides the API key and configuration to the useCashCaptcha and useRewardsInfo composables of an app.
+ *
+ * app.use(CashCaptchaPlugin, { apiKey, config, autoStart })
+ */
+export const CashCaptchaPlugin = {
+  /**
+   * @param {object} app - The Vue app.
+   * @param {object} options - The options.
+   * @param {string} options.apiKey - The API key.
+   * @param {object} [options.config] - The Solver configuration, see createConfig.
+   * @param {boolean} [options.autoStart=true] - Start the Solver when a component using it is set up.
+   */
+  install(app, options) {
+    app.provide(cashCaptchaKey, options);
+  },
+};
+
+function resolveOptions(options, composable) {
+  if (!getCurrentInstance()) {
+    throw new Error(`${composable} must be called in the setup of a component`);
+  }
+  const provided = inject(cashCaptchaKey, null);
+  const merged = { autoStart: true, ...provided, ...options };
+  if (!merged.apiKey) {
+    throw new Error(
+      "Pass an apiKey to the composable or install the CashCaptchaPlugin"
+    );
+  }
+  return merged;
+}
+
+// Mirrors an external store into a shallow ref while the component is mounted
+function watchStore(snapshot, store) {
+  snapshot.value = store.getSnapshot();
+  return store.subscribe(() => {
+    snapshot.value = store.getSnapshot();
+  });
+}
+
+/**
+ * Uses the shared Solver of an API key. Every component using the same API key shares one Solver, which
+ * keeps running while at least one of them is mounted and is stopped when the last one is unmounted.
+ *
+ * The Solver is created on mount, so server-side rendering never starts one. Until then solver is null, the
+ * state is idleSolverSnapshot and the controls do nothing.
+ *
+ * @param {object} [options] - Overrides the options of the CashCaptchaPlugin.
+ * @param {string} [options.apiKey] - The API key.
+ * @param {object} [options.config] - The Solver configuration, used by the first component to create the Solver.
+ * @param {boolean} [options.autoStart=true] - Start the Solver on mount.
+ * @returns {object} A shallow ref of the Solver, computed refs of each field of its state (state, paused, role, status,
+ * error and stats) and the control functions start, stop, pause, resume and setCpuLimit.
+ */
+export function useCashCaptcha(options) {
+  const { apiKey, config, autoStart } = resolveOptions(
+    options,
+    "useCashCaptcha"
+  );
+  const solver = shallowRef(null);
+  const snapshot = shallowRef(idleSolverSnapshot);
+  let entry = null;
+  let cleanup = null;
+
+  onMounted(() => {
+    const release = retainSolver(apiKey, config, { autoStart });
+    entry = getSolverEntry(apiKey);
+    solver.value = entry.solver;
+    const unsubscribe = watchStore(snapshot, entry.store);
+    cleanup = () => {
+      unsubscribe();
+      release();
+    };
+  });
+  onBeforeUnmount(() => {
+    if (cleanup) cleanup();
+  });
+
+  const control =
+    (name, fallback) =>
+    (...args) =>
+      entry ? entry.controls[name](...args) : fallback;
+  const field = (name) => computed(() => snapshot.value[name]);
+  return {
+    solver,
+    state: field("state"),
+    paused: field("paused"),
+    role: field("role"),
+    status: field("status"),
+    error: field("error"),
+    stats: field("stats"),
+    start: control("start", Promise.resolve()),
+    stop: control("stop", Promise.resolve()),
+    pause: control("pause"),
+    resume: control("resume"),
+    setCpuLimit: control("setCpuLimit"),
+  };
+}
+
+/**
+ * Uses the cached result of Rewards.info(). Components using the same keys share the result and the requests.
+ *
+ * @param {string} claimKey - The claim key.
+ * @param {object} [options] - The query options.
+ * @param {number} [options.maxAge=60000] - Fetch again on mount if the cached result is older than this (in milliseconds).
+ * @param {string} [options.apiKey] - The API key. Defaults to the one of the CashCaptchaPlugin.
+ * @param {object} [options.config] - The configuration. Defaults to the one of the CashCaptchaPlugin.
+ * @returns {object} Computed refs of data, error, loading and updatedAt, and the refresh function.
+ */
+export function useRewardsInfo(claimKey, { maxAge = 60000, ...options } = {}) {
+  const { apiKey, config } = resolveOptions(options, "useRewardsInfo");
+  const query = getRewardsQuery(apiKey, claimKey, config);
+  const snapshot = shallowRef(query.getSnapshot());
+  let unsubscribe = null;
+
+  onMounted(() => {
+    unsubscribe = watchStore(snapshot, query);
+    query.fetchIfStale(maxAge);
+  });
+  onBeforeUnmount(() => {
+    if (unsubscribe) unsubscribe();
+  });
+
+  const field = (name) => computed(() => snapshot.value[name]);
+  return {
+    data: field("data"),
+    error: field("error"),
+    loading: field("loading"),
+    updatedAt: field("updatedAt"),
+    refresh: query.refresh,
+  };
+}
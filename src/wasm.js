@@ -0,0 +1,38 @@
+// wasm.js - loads the drillx WASM module on the main thread
+import init from "./drillx/pkg/drillx_wasm.js";
+
+export {
+  WasmSolverMemory,
+  hash_with_memory,
+  is_valid_solution,
+} from "./drillx/pkg/drillx_wasm.js";
+
+const isNode = typeof window === "undefined" && typeof process !== "undefined";
+
+let fs, path, fileURLToPath;
+if (isNode) {
+  fs = await import("fs");
+  path = await import("path");
+  fileURLToPath = (await import("url")).fileURLToPath;
+}
+
+let wasmModule;
+
+export async function initializeWasm() {
+  if (wasmModule) return;
+
+  if (isNode) {
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = path.dirname(__filename);
+    const wasmPath = path.join(
+      __dirname,
+      "drillx",
+      "pkg",
+      "drillx_wasm_bg.wasm"
+    );
+    const wasmBuffer = fs.readFileSync(wasmPath);
+    wasmModule = await init(wasmBuffer);
+  } else {
+    wasmModule = await init();
+  }
+}
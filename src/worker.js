@@ -3,16 +3,20 @@ const isNode = typeof self === "undefined" && typeof process !== "undefined";
 
 let initWasm, WasmSolverMemory, hash_with_memory, difficulty;
 let base64ToUint8Array, uint8ArrayToHex;
-let parentPort, workerData;
+let parentPort;
 let wasmMemory;
+let currentJob = null;
+let paused = false;
+let cpuLimit = 100;
+let suspendedSlice = null;
+let workerReady;
 
-let logError, logDebug;
+let logError, logDebug, createLogger;
 
 async function initializeWorker() {
   if (isNode) {
-    const { parentPort: pp, workerData: wd } = await import("worker_threads");
-    parentPort = pp;
-    workerData = wd;
+    ({ parentPort } = await import("worker_threads"));
+    parentPort.on("message", routeMessage);
 
     const fs = await import("fs");
     const path = await import("path");
@@ -23,12 +27,11 @@ async function initializeWorker() {
 
     const drillxWasm = await import("./drillx/pkg/drillx_wasm.js");
     const helpers = await import("./helpers.js");
-    const { logError: nodeLogError, logDebug: nodeLogDebug } = await import(
-      "./print.js"
-    );
+    const print = await import("./print.js");
 
-    logError = nodeLogError;
-    logDebug = nodeLogDebug;
+    logError = print.logError;
+    logDebug = print.logDebug;
+    createLogger = print.createLogger;
 
     initWasm = drillxWasm.default;
     ({ WasmSolverMemory, hash_with_memory, difficulty } = drillxWasm);
@@ -68,19 +71,23 @@ async function initializeWorker() {
 
   await initializeSolverMemory();
   logDebug(`Worker initialized successfully`);
+  sendMessage({ type: "ready" });
+}
 
-  // Set up message handling after initialization is complete
-  if (isNode) {
-    handleMessage(workerData);
-  } else {
-    self.onmessage = function (event) {
-      handleMessage(event.data);
-    };
-  }
+// Messages received before initialization completes are handled once the
+// worker is ready, so the pool can post a challenge right after spawning it.
+function routeMessage(data) {
+  workerReady.then(() => handleMessage(data));
+}
+
+if (!isNode) {
+  self.onmessage = function (event) {
+    routeMessage(event.data);
+  };
 }
 
 // Initialize the worker
-initializeWorker()
+workerReady = initializeWorker()
   .then(() => {
     logDebug("Status: Worker initialized successfully");
   })
@@ -108,20 +115,109 @@ function sendMessage(message) {
   }
 }
 
-async function handleMessage(data) {
+function handleMessage(data) {
   logDebug(`Worker received message: ${JSON.stringify(data, null, 2)}`);
-  const { challenge, nonceStart, nonceEnd, deadline, deviceId } = data;
+  switch (data.type) {
+    case "challenge":
+      startJob(data);
+      break;
+    case "cancel":
+      if (currentJob && currentJob.id === data.id) {
+        currentJob.cancelled = true;
+        continueSuspendedSlice();
+      }
+      break;
+    case "pause":
+      paused = true;
+      break;
+    case "resume":
+      paused = false;
+      continueSuspendedSlice();
+      break;
+    case "cpuLimit":
+      cpuLimit = data.cpuLimit;
+      break;
+    case "benchmark":
+      runBenchmark(data);
+      break;
+    case "config":
+      // Log with the configuration of the Solver that owns the pool
+      if (createLogger) {
+        const logger = createLogger(
+          { logLevel: data.logLevel, logFormat: data.logFormat },
+          { component: "worker" }
+        );
+        logError = logger.error;
+        logDebug = logger.debug;
+      }
+      break;
+    default:
+      logDebug(`Worker ignoring unknown message type: ${data.type}`);
+  }
+}
+
+// Times hash_with_memory calls for WorkerPool.benchmark(), so that the page's main thread is never blocked.
+function runBenchmark({ id, iterations }) {
   if (!wasmMemory) {
+    sendMessage({ type: "benchmark", id, error: "WASM is not initialized" });
+    return;
+  }
+  const challenge = new Uint8Array(32);
+  const nonce = new Uint8Array(8);
+
+  const hash = (i) => {
+    nonce[0] = i & 0xff;
+    nonce[1] = (i >> 8) & 0xff;
     try {
-      await initializeSolverMemory();
+      hash_with_memory(wasmMemory, challenge, nonce);
     } catch (error) {
-      logError(`[Worker] Error initializing WASM memory: ${error.message}`);
-      sendMessage({ type: "status", status: "Error initializing WASM memory" });
-      return;
+      // Nonces without a solution still take a full hash attempt.
     }
+  };
+
+  hash(0); // Warm up
+  const startTime = Date.now();
+  for (let i = 1; i <= iterations; i++) {
+    hash(i);
+  }
+  const elapsed = Math.max(1, Date.now() - startTime);
+  sendMessage({
+    type: "benchmark",
+    id,
+    hashRate: (iterations / elapsed) * 1000,
+  });
+}
+
+// A paused job keeps its nonce position; its next slice runs on resume, or
+// immediately when the job is cancelled so that it can finish.
+function continueSuspendedSlice() {
+  if (suspendedSlice) {
+    const slice = suspendedSlice;
+    suspendedSlice = null;
+    slice();
   }
+}
 
+async function startJob(data) {
+  const { id, challenge, nonceStart, nonceEnd, deadline, sliceDuration } = data;
+  if (currentJob) {
+    currentJob.cancelled = true;
+    continueSuspendedSlice();
+  }
+  const job = {
+    id,
+    cancelled: false,
+    deadline: new Date(deadline),
+    sliceDuration: sliceDuration || 50,
+  };
+  currentJob = job;
+
+  let solution = null;
   try {
+    if (!wasmMemory) {
+      await initializeSolverMemory();
+    }
+
     const challengeArray = base64ToUint8Array(challenge);
 
     if (challengeArray.length !== 32) {
@@ -131,20 +227,15 @@ async function handleMessage(data) {
     }
 
     logDebug("Starting solution search");
-    const solution = await solveChallenge(
-      challengeArray,
-      nonceStart,
-      nonceEnd,
-      new Date(deadline)
-    );
+    solution = await solveChallenge(job, challengeArray, nonceStart, nonceEnd);
 
     if (solution) {
       logDebug(`Solution found: ${JSON.stringify(solution, null, 2)}`);
-      sendMessage({ type: "solution", solution });
     } else {
       logDebug("No solution found within the time limit");
       sendMessage({
         type: "status",
+        id,
         status: "No solution found within the time limit",
       });
     }
@@ -152,138 +243,163 @@ async function handleMessage(data) {
     logError(`[Worker] Error in captcha process: ${error.message}`);
     sendMessage({
       type: "status",
+      id,
       status: `Error in captcha process: ${error.message}`,
     });
+  } finally {
+    if (currentJob === job) {
+      currentJob = null;
+    }
+    sendMessage({ type: "done", id, solution });
   }
 }
 
-function solveChallenge(challengeArray, nonceStart, nonceEnd, deadline) {
+function solveChallenge(job, challengeArray, nonceStart, nonceEnd) {
   return new Promise((resolve) => {
     logDebug(`Starting solveChallenge`);
+    const { id, sliceDuration } = job;
     let bestSolution = null;
     let bestDifficulty = 0;
     let nonce = nonceStart;
 
     const startTime = Date.now();
     const target = 8;
-    const totalSolvingTime = deadline - startTime;
+    const totalSolvingTime = job.deadline - startTime;
 
-    let lastUpdateTime = Date.now();
+    let lastUpdateTime = startTime;
+    let lastUpdateNonce = nonceStart;
     const updateInterval = 100;
 
-    let lastPostedSolution = null;
-
-    function solutionIteration() {
-      const currentTime = new Date();
-
-      if (
-        bestSolution &&
-        (!lastPostedSolution ||
-          bestSolution.difficulty > lastPostedSolution.difficulty)
-      ) {
-        sendMessage({
-          type: "solution",
-          solution: bestSolution,
-        });
-        lastPostedSolution = { ...bestSolution };
-      }
-
-      if (nonce <= nonceEnd && currentTime < deadline) {
-        const nonceBytes = new Uint8Array(8);
-
-        const timeRemaining = deadline - currentTime;
-        const timeElapsed = currentTime - startTime;
-
-        const highPart = Math.floor(nonce / 0x100000000);
-        const lowPart = nonce >>> 0;
-
-        const view = new DataView(nonceBytes.buffer);
-        view.setUint32(0, lowPart, true);
-        view.setUint32(4, highPart, true);
+    const nonceBytes = new Uint8Array(8);
+    const view = new DataView(nonceBytes.buffer);
+
+    function hashNonce() {
+      const highPart = Math.floor(nonce / 0x100000000);
+      const lowPart = nonce >>> 0;
+      view.setUint32(0, lowPart, true);
+      view.setUint32(4, highPart, true);
+
+      try {
+        const hash = hash_with_memory(wasmMemory, challengeArray, nonceBytes);
+        const currentDifficulty = difficulty(hash.h);
+
+        if (
+          currentDifficulty >= target &&
+          (!bestSolution || currentDifficulty > bestDifficulty)
+        ) {
+          bestSolution = {
+            digest: Array.from(hash.d),
+            nonce: Array.from(nonceBytes),
+            difficulty: currentDifficulty,
+            hash: Array.from(hash.h),
+            challenge: Array.from(challengeArray),
+          };
+          bestDifficulty = currentDifficulty;
+          sendMessage({
+            type: "solution",
+            id,
+            solution: bestSolution,
+          });
 
-        if (!wasmMemory) {
-          logError("WasmSolverMemory is not initialized");
           sendMessage({
             type: "status",
-            status: "Error: WasmSolverMemory is not initialized",
+            id,
+            status: `New best solution found. Difficulty: ${currentDifficulty}`,
+            bestDifficulty: currentDifficulty,
           });
-          return;
         }
-
-        try {
-          const hash = hash_with_memory(wasmMemory, challengeArray, nonceBytes);
-          const currentDifficulty = difficulty(hash.h);
-
-          if (
-            currentDifficulty >= target &&
-            (!bestSolution || currentDifficulty > bestDifficulty)
-          ) {
-            bestSolution = {
-              digest: Array.from(hash.d),
-              nonce: Array.from(nonceBytes),
-              difficulty: currentDifficulty,
-              hash: Array.from(hash.h),
-              challenge: Array.from(challengeArray),
-            };
-            bestDifficulty = currentDifficulty;
-            sendMessage({
-              type: "solution",
-              solution: bestSolution,
-            });
-
-            sendMessage({
-              type: "status",
-              status: `New best solution found. Difficulty: ${currentDifficulty}`,
-              bestDifficulty: currentDifficulty,
-            });
-          }
-        } catch (error) {
-          if (error.message !== "No solutions" && error.message) {
-            logError(
-              `[solveChallenge] Error in hash calculation: ${error.message}`
-            );
-          }
+      } catch (error) {
+        if (error.message !== "No solutions" && error.message) {
+          logError(
+            `[solveChallenge] Error in hash calculation: ${error.message}`
+          );
         }
+      }
+    }
 
-        if (nonce % 1000 === 0) {
-          const noncesChecked = nonce - nonceStart + 1;
-          const noncesPerSecond =
-            (noncesChecked / (Date.now() - startTime)) * 1000;
-        }
+    function reportProgress(now) {
+      const noncesChecked = nonce - nonceStart;
+      const noncesPerSecond = (noncesChecked / (now - startTime)) * 1000;
+      const hashesPerSecond =
+        ((nonce - lastUpdateNonce) / Math.max(1, now - lastUpdateTime)) * 1000;
+      sendMessage({
+        type: "progress",
+        id,
+        noncesChecked: noncesChecked,
+        noncesPerSecond: noncesPerSecond.toFixed(2),
+        hashesPerSecond: Math.round(hashesPerSecond),
+        noncesRemaining: nonceEnd - nonce + 1,
+        challenge: uint8ArrayToHex(Array.from(challengeArray)),
+        nonceStart: nonceStart,
+        nonceEnd: nonceEnd,
+        totalSolvingTime: totalSolvingTime,
+        timeRemaining: job.deadline - now,
+        timeElapsed: now - startTime,
+        bestDifficulty: bestDifficulty,
+      });
+      lastUpdateTime = now;
+      lastUpdateNonce = nonce;
+    }
 
-        const now = Date.now();
-        if (now - lastUpdateTime >= updateInterval) {
-          const noncesChecked = nonce - nonceStart + 1;
-          const noncesPerSecond = (noncesChecked / (now - startTime)) * 1000;
-          const noncesRemaining = nonceEnd - nonce + 1;
-          sendMessage({
-            type: "status",
-            status: "Checking solutions...",
-            noncesChecked: noncesChecked,
-            noncesPerSecond: noncesPerSecond.toFixed(2),
-            noncesRemaining: noncesRemaining,
-            challenge: uint8ArrayToHex(Array.from(challengeArray)),
-            nonceStart: nonceStart,
-            nonceEnd: nonceEnd,
-            totalSolvingTime: totalSolvingTime,
-            timeRemaining: timeRemaining,
-            timeElapsed: timeElapsed,
-            bestDifficulty: bestDifficulty,
-          });
-          lastUpdateTime = now;
-        }
+    function isFinished(now) {
+      return job.cancelled || nonce > nonceEnd || now >= job.deadline;
+    }
+
+    // Hashes as many nonces as fit in one time slice, then yields so that
+    // cancel, pause and cpuLimit messages can be processed between slices.
+    function solveSlice() {
+      if (!wasmMemory) {
+        logError("WasmSolverMemory is not initialized");
+        sendMessage({
+          type: "status",
+          id,
+          status: "Error: WasmSolverMemory is not initialized",
+        });
+        resolve(bestSolution);
+        return;
+      }
+
+      if (paused && !isFinished(Date.now())) {
+        suspendedSlice = solveSlice;
+        return;
+      }
+
+      const sliceStart = Date.now();
+      const sliceEnd = sliceStart + sliceDuration;
+      let now = sliceStart;
+      while (!isFinished(now) && now < sliceEnd) {
+        hashNonce();
         nonce += 1;
-        setTimeout(solutionIteration, 0);
+        now = Date.now();
+      }
+
+      if (now - lastUpdateTime >= updateInterval) {
+        reportProgress(now);
+      }
+
+      if (!isFinished(now)) {
+        // Rest in proportion to the measured work time so that the worker
+        // stays at cpuLimit percent of a core.
+        const workTime = now - sliceStart;
+        const restTime =
+          cpuLimit < 100 ? (workTime * (100 - cpuLimit)) / cpuLimit : 0;
+        setTimeout(solveSlice, restTime);
       } else {
+        // Report the nonces hashed since the last progress message
+        if (nonce !== lastUpdateNonce) {
+          reportProgress(now);
+        }
         if (bestSolution) {
           sendMessage({
             type: "status",
+            id,
             status: `Solving completed. Best solution found with difficulty: ${bestSolution.difficulty}`,
             bestDifficulty: bestSolution.difficulty,
           });
         } else {
           sendMessage({
             type: "status",
+            id,
             status:
               "Solving completed. No solution found meeting the target difficulty.",
           });
@@ -292,6 +408,6 @@ function solveChallenge(challengeArray, nonceStart, nonceEnd, deadline) {
       }
     }
 
-    solutionIteration();
+    solveSlice();
   });
 }
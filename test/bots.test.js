@@ -0,0 +1,64 @@
+import { defaultBotPatterns } from "../src/bots.js";
+
+// The reason of the first default pattern matching a user agent, as detectAutomation() reports it in the browser
+function reasonFor(userAgent) {
+  const match = defaultBotPatterns.find(({ pattern }) =>
+    pattern.test(userAgent)
+  );
+  return match ? match.reason : null;
+}
+
+describe("defaultBotPatterns", () => {
+  test.each([
+    [
+      "a CUBOT phone",
+      "Mozilla/5.0 (Linux; Android 10; CUBOT X30) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Mobile Safari/537.36",
+    ],
+    [
+      "the WhatsApp in-app browser",
+      "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/120.0.0.0 Mobile Safari/537.36 WhatsApp/2.23.25.83",
+    ],
+    [
+      "the Pinterest app on Android",
+      "Mozilla/5.0 (Linux; Android 12; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36 [Pinterest/Android]",
+    ],
+    [
+      "the Pinterest app on iOS",
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 [Pinterest/iOS]",
+    ],
+    [
+      "a desktop browser",
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    ],
+  ])("does not match %s", (name, userAgent) => {
+    expect(reasonFor(userAgent)).toBeNull();
+  });
+
+  test.each([
+    ["WhatsApp/2.23.20.0 A", "preview"],
+    [
+      "Mozilla/5.0 (compatible; Pinterestbot/1.0; +http://www.pinterest.com/bot.html)",
+      "preview",
+    ],
+    ["Pinterest/0.2 (+https://www.pinterest.com/bot.html)", "preview"],
+    [
+      "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+      "crawler",
+    ],
+    [
+      "Mozilla/5.0 (compatible; SeznamBot/4.0; +https://o-seznam.cz/napoveda/vyhledavani/en/seznambot-crawler/)",
+      "crawler",
+    ],
+    [
+      "Mozilla/5.0 (Linux; Android 5.0) AppleWebKit/537.36 (KHTML, like Gecko) Mobile Safari/537.36 (compatible; Bytespider; https://zhanzhang.toutiao.com/)",
+      "crawler",
+    ],
+    ["AcmeCrawler/1.0", "crawler"],
+    [
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36",
+      "headless",
+    ],
+  ])("detects %s", (userAgent, reason) => {
+    expect(reasonFor(userAgent)).toBe(reason);
+  });
+});
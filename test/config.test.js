@@ -0,0 +1,100 @@
+import { createConfig } from "../src/config.js";
+import { ConfigError } from "../src/errors.js";
+import { Solver } from "../src/solver.js";
+import { Rewards } from "../src/rewards.js";
+import { createMemoryStorage } from "../src/storage.js";
+
+function configError(userConfig) {
+  try {
+    createConfig(userConfig);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe("createConfig", () => {
+  test("returns the defaults with the given options applied", () => {
+    const config = createConfig({ maxRetries: 5, logLevel: "debug" });
+    expect(config.maxRetries).toBe(5);
+    expect(config.logLevel).toBe("debug");
+    expect(config.cpuLimit).toBe(100);
+  });
+
+  test("returns a new object for every call", () => {
+    const first = createConfig();
+    first.maxRetries = 10;
+    expect(createConfig().maxRetries).toBe(3);
+  });
+
+  test("keeps the default of options set to undefined", () => {
+    expect(createConfig({ workerCount: undefined }).workerCount).toBeNull();
+  });
+
+  test("rejects unknown options", () => {
+    const error = configError({ maxRetry: 3 });
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.option).toBe("maxRetry");
+    expect(error.code).toBe("INVALID_CONFIG");
+    expect(error.message).toBe("Unknown configuration option: maxRetry");
+  });
+
+  test("rejects a configuration that is not an object", () => {
+    expect(configError("debug")).toBeInstanceOf(ConfigError);
+    expect(configError(null)).toBeInstanceOf(ConfigError);
+  });
+
+  test.each([
+    ["performanceThreshold", 6],
+    ["performanceThreshold", 1.5],
+    ["nonceRangeSize", 0],
+    ["nonceRangeSize", "1000"],
+    ["maxRetries", -1],
+    ["cpuLimit", 0],
+    ["cpuLimit", 101],
+    ["workerCount", 0],
+    ["sliceDuration", 0],
+    ["logLevel", "verbose"],
+    ["logFormat", "xml"],
+    ["benchmark", "yes"],
+    ["botPatterns", "bot"],
+    ["storage", { get() {} }],
+    ["queueStore", { load() {}, save() {} }],
+    ["consent", {}],
+  ])("rejects %s = %p", (option, value) => {
+    const error = configError({ [option]: value });
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.option).toBe(option);
+    expect(error.message).toMatch(new RegExp(`^Invalid ${option}: expected `));
+  });
+
+  test.each([
+    ["performanceThreshold", 0],
+    ["performanceThreshold", 5],
+    ["cpuLimit", 12.5],
+    ["workerCount", null],
+    ["workerCount", 4],
+    ["logLevel", "silent"],
+    ["storage", createMemoryStorage()],
+    ["autoPause", { hidden: true }],
+  ])("accepts %s = %p", (option, value) => {
+    expect(createConfig({ [option]: value })[option]).toBe(value);
+  });
+});
+
+describe("constructors", () => {
+  test("validate their configuration", () => {
+    expect(() => new Solver("key", { cpuLimit: 0 })).toThrow(ConfigError);
+    expect(() => new Rewards("key", "claim", { unknown: true })).toThrow(
+      ConfigError
+    );
+  });
+
+  test("do not share their configuration", () => {
+    const quiet = new Solver("key", { logLevel: "silent" });
+    const verbose = new Solver("key", { logLevel: "debug" });
+    expect(quiet.config.logLevel).toBe("silent");
+    expect(verbose.config.logLevel).toBe("debug");
+    expect(quiet.config).not.toBe(verbose.config);
+  });
+});
@@ -0,0 +1,155 @@
+import { ConsentManager } from "../src/consent.js";
+import { createMemoryStorage } from "../src/storage.js";
+import { createLogger } from "../src/print.js";
+
+const logger = createLogger({ logLevel: "silent" });
+
+// A consent management platform exposing window.__tcfapi, whose events the tests send
+function installTcf() {
+  const listeners = new Map();
+  let nextId = 1;
+  globalThis.__tcfapi = (command, version, callback, parameter) => {
+    if (command === "addEventListener") {
+      // Platforms call the listener right away with the current state
+      const listenerId = nextId++;
+      listeners.set(listenerId, callback);
+      callback({ eventStatus: "cmpuishown", listenerId }, true);
+    } else if (command === "removeEventListener") {
+      listeners.delete(parameter);
+    }
+  };
+  return {
+    listeners,
+    send(tcData) {
+      for (const [listenerId, callback] of listeners) {
+        callback(
+          { eventStatus: "useractioncomplete", ...tcData, listenerId },
+          true
+        );
+      }
+    },
+  };
+}
+
+const consents = (granted) => ({
+  gdprApplies: true,
+  purpose: { consents: { 1: granted } },
+  vendor: { consents: { 42: granted } },
+});
+
+async function createManager(options = {}) {
+  const consent = new ConsentManager({
+    storage: createMemoryStorage(),
+    logger,
+    ...options,
+  });
+  await consent.ready;
+  return consent;
+}
+
+describe("ConsentManager", () => {
+  let tcf;
+
+  beforeEach(() => {
+    tcf = installTcf();
+  });
+
+  afterEach(() => {
+    delete globalThis.__tcfapi;
+  });
+
+  test("stays pending when the platform reports consent", async () => {
+    const consent = await createManager();
+    tcf.send(consents(true));
+    expect(consent.status).toBe("pending");
+  });
+
+  test("stays pending where the GDPR does not apply", async () => {
+    const consent = await createManager();
+    tcf.send({ gdprApplies: false });
+    expect(consent.status).toBe("pending");
+  });
+
+  test("denies when the platform reports no consent", async () => {
+    const consent = await createManager();
+    tcf.send(consents(false));
+    expect(consent.status).toBe("denied");
+    expect(consent.record.source).toBe("tcf");
+  });
+
+  test("requires the vendor consent when a vendor ID is set", async () => {
+    const consent = await createManager({ tcf: { vendorId: 7 } });
+    tcf.send(consents(true));
+    expect(consent.status).toBe("denied");
+  });
+
+  test("ignores events sent before the visitor decided", async () => {
+    const consent = await createManager();
+    tcf.send({ ...consents(false), eventStatus: "cmpuishown" });
+    expect(consent.status).toBe("pending");
+  });
+
+  test("lifts its own denial when the platform reports consent", async () => {
+    const consent = await createManager();
+    tcf.send(consents(false));
+    tcf.send(consents(true));
+    expect(consent.status).toBe("pending");
+  });
+
+  test("never overrides a decision of the visitor", async () => {
+    const consent = await createManager();
+    await consent.grant();
+    tcf.send(consents(false));
+    expect(consent.status).toBe("granted");
+
+    await consent.deny();
+    tcf.send(consents(true));
+    expect(consent.status).toBe("denied");
+  });
+
+  test("ignores a stored platform grant", async () => {
+    const storage = createMemoryStorage();
+    await storage.set(
+      "cashCaptchaConsent",
+      JSON.stringify({
+        version: 1,
+        status: "granted",
+        source: "tcf",
+        timestamp: Date.now(),
+      })
+    );
+    const consent = await createManager({ storage, tcf: false });
+    expect(consent.status).toBe("pending");
+  });
+
+  test("ignores a decision for another version", async () => {
+    const storage = createMemoryStorage();
+    await (await createManager({ storage, version: 1 })).grant();
+    expect((await createManager({ storage, version: 1 })).status).toBe(
+      "granted"
+    );
+    expect((await createManager({ storage, version: 2 })).status).toBe(
+      "pending"
+    );
+  });
+
+  test("emits a change event for each new status", async () => {
+    const consent = await createManager();
+    const changes = [];
+    consent.on("change", (change) => changes.push(change));
+    tcf.send(consents(false));
+    await consent.grant();
+    await consent.grant();
+    expect(changes).toEqual([
+      { status: "denied", previousStatus: "pending", source: "tcf" },
+      { status: "granted", previousStatus: "denied", source: "user" },
+    ]);
+  });
+
+  test("stops following the platform once destroyed", async () => {
+    const consent = await createManager();
+    expect(tcf.listeners.size).toBe(1);
+    consent.destroy();
+    expect(tcf.listeners.size).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+import { Rewards } from "../src/rewards.js";
+import {
+  exportRewardsHistory,
+  formatOre,
+  rewardsExportColumns,
+} from "../src/export.js";
+import { createMemoryStorage } from "../src/storage.js";
+import { ConfigError } from "../src/errors.js";
+import { shortHash } from "../src/print.js";
+
+const history = [
+  {
+    epoch: 3,
+    pool: "main",
+    submission_time: "2024-05-01T10:00:00Z",
+    pool_best_solution_difficulty: 21,
+    user_rewards_earned: 743,
+    pool_rewards_earned: "250000000000",
+  },
+  {
+    epoch: 4,
+    pool: '=HYPERLINK("http://example.com")',
+    submission_time: "2024-05-02T10:00:00Z",
+    pool_best_solution_difficulty: 18,
+    user_rewards_earned: 1.5,
+    pool_rewards_earned: -100000000000,
+  },
+];
+
+const claims = [
+  {
+    time: "2024-05-03T10:00:00.000Z",
+    amount: 100000000000,
+    withdrawalToken: "ORE",
+    withdrawalAddress: '+addr, "quoted"',
+    status: "ok",
+  },
+];
+
+async function createRewards({ claimStorage = createMemoryStorage() } = {}) {
+  await claimStorage.set(
+    `cashCaptchaClaims:${shortHash("key")}`,
+    JSON.stringify(claims)
+  );
+  const rewards = new Rewards("key", "claim", {
+    logLevel: "silent",
+    claimStorage,
+  });
+  rewards.historyIterator = async function* () {
+    yield* history;
+  };
+  return rewards;
+}
+
+async function collect(chunks) {
+  let output = "";
+  for await (const chunk of chunks) {
+    output += chunk;
+  }
+  return output;
+}
+
+describe("formatOre", () => {
+  test("formats base units with 11 decimals", () => {
+    expect(formatOre(743)).toBe("0.00000000743");
+    expect(formatOre("250000000000")).toBe("2.50000000000");
+    expect(formatOre(-100000000000n)).toBe("-1.00000000000");
+    expect(formatOre(0)).toBe("0.00000000000");
+  });
+
+  test("keeps the precision of amounts beyond Number.MAX_SAFE_INTEGER", () => {
+    expect(formatOre("123456789012345678901")).toBe("1234567890.12345678901");
+  });
+
+  test("rejects amounts that are not integers", () => {
+    expect(() => formatOre(1.5)).toThrow(RangeError);
+    expect(() => formatOre("1e3")).toThrow(RangeError);
+    expect(() => formatOre(null)).toThrow(RangeError);
+  });
+});
+
+describe("exportRewardsHistory", () => {
+  test("exports CSV with a header, the history and the claims", async () => {
+    const output = await collect(
+      exportRewardsHistory(await createRewards(), { toEpoch: 4 })
+    );
+    const lines = output.trimEnd().split("\n");
+    expect(lines[0]).toBe(rewardsExportColumns.join(","));
+    expect(lines.slice(1)).toEqual([
+      "reward,2024-05-01T10:00:00.000Z,3,main,21,0.00000000743,743,2.50000000000,250000000000,,,,,",
+      `reward,2024-05-02T10:00:00.000Z,4,"'=HYPERLINK(""http://example.com"")",18,,1.5,-1.00000000000,-100000000000,,,,,`,
+      `claim,2024-05-03T10:00:00.000Z,,,,,,,,1.00000000000,100000000000,ORE,"'+addr, ""quoted""",ok`,
+    ]);
+  });
+
+  test("exports NDJSON objects with every column", async () => {
+    const output = await collect(
+      exportRewardsHistory(await createRewards(), {
+        format: "ndjson",
+        toEpoch: 4,
+      })
+    );
+    const rows = output
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(rows).toHaveLength(3);
+    for (const row of rows) {
+      expect(Object.keys(row)).toEqual(rewardsExportColumns);
+    }
+    expect(rows[0]).toMatchObject({
+      type: "reward",
+      user_rewards: "0.00000000743",
+      user_rewards_base_units: "743",
+      claim_amount: null,
+    });
+    // Invalid amounts are kept as received, without an ORE value
+    expect(rows[1]).toMatchObject({
+      pool: '=HYPERLINK("http://example.com")',
+      user_rewards: null,
+      user_rewards_base_units: "1.5",
+    });
+    expect(rows[2]).toMatchObject({
+      type: "claim",
+      claim_amount: "1.00000000000",
+      withdrawal_address: '+addr, "quoted"',
+    });
+  });
+
+  test("filters the rows by time", async () => {
+    const output = await collect(
+      exportRewardsHistory(await createRewards(), {
+        format: "ndjson",
+        toEpoch: 4,
+        from: "2024-05-02T00:00:00Z",
+        to: "2024-05-03T00:00:00Z",
+      })
+    );
+    expect(JSON.parse(output).epoch).toBe(4);
+  });
+
+  test("fails before any output when there is no claim log", async () => {
+    const rewards = await createRewards();
+    rewards.config.claimStorage = undefined;
+    const chunks = exportRewardsHistory(rewards, { toEpoch: 4 });
+    await expect(chunks.next()).rejects.toBeInstanceOf(ConfigError);
+  });
+
+  test("exports the history only when claims are excluded", async () => {
+    const rewards = await createRewards();
+    rewards.config.claimStorage = undefined;
+    const output = await collect(
+      exportRewardsHistory(rewards, { toEpoch: 4, includeClaims: false })
+    );
+    expect(output.trimEnd().split("\n")).toHaveLength(3);
+  });
+
+  test("rejects an unknown format", async () => {
+    const chunks = exportRewardsHistory(await createRewards(), {
+      format: "xlsx",
+      toEpoch: 4,
+    });
+    await expect(chunks.next()).rejects.toBeInstanceOf(RangeError);
+  });
+});
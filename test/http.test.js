@@ -0,0 +1,221 @@
+import http from "http";
+import { createConfig } from "../src/config.js";
+import {
+  getBackoffDelay,
+  getRetryAfter,
+  isRetryableError,
+  request,
+} from "../src/http.js";
+import {
+  AbortError,
+  AuthError,
+  ClaimError,
+  NetworkError,
+  RateLimitError,
+} from "../src/errors.js";
+
+// Answers each request with the next response of the list, and records the requests
+function startServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url });
+    const {
+      status = 200,
+      headers = {},
+      body = {},
+    } = responses[Math.min(requests.length, responses.length) - 1];
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({ server, requests, apiUrl: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+function testConfig(apiUrl, options = {}) {
+  return createConfig({
+    apiUrl,
+    logLevel: "silent",
+    maxRetries: 2,
+    retryDelay: 1,
+    maxRetryDelay: 10,
+    ...options,
+  });
+}
+
+describe("getBackoffDelay", () => {
+  const config = { retryDelay: 100, maxRetryDelay: 1000 };
+
+  test("doubles the delay for each attempt, with up to 50% jitter", () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const delay = getBackoffDelay(attempt, config);
+      const base = 100 * Math.pow(2, attempt);
+      expect(delay).toBeGreaterThanOrEqual(base / 2);
+      expect(delay).toBeLessThanOrEqual(base);
+    }
+  });
+
+  test("is capped at maxRetryDelay", () => {
+    expect(getBackoffDelay(20, config)).toBeLessThanOrEqual(1000);
+  });
+});
+
+describe("getRetryAfter", () => {
+  test("reads a delay in seconds", () => {
+    expect(getRetryAfter({ headers: { "retry-after": "3" } })).toBe(3000);
+  });
+
+  test("reads an HTTP date", () => {
+    const date = new Date(Date.now() + 10000).toUTCString();
+    const delay = getRetryAfter({ headers: { "retry-after": date } });
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+  });
+
+  test("returns null without a header", () => {
+    expect(getRetryAfter({ headers: {} })).toBeNull();
+    expect(getRetryAfter(undefined)).toBeNull();
+  });
+});
+
+describe("isRetryableError", () => {
+  const responseError = (status) => ({ response: { status } });
+
+  test("retries network errors, timeouts, 429 and 5xx", () => {
+    expect(isRetryableError({ code: "ECONNRESET" })).toBe(true);
+    expect(isRetryableError({ code: "ECONNABORTED" })).toBe(true);
+    expect(isRetryableError(responseError(429))).toBe(true);
+    expect(isRetryableError(responseError(503))).toBe(true);
+  });
+
+  test("does not retry other 4xx responses", () => {
+    expect(isRetryableError(responseError(400))).toBe(false);
+    expect(isRetryableError(responseError(401))).toBe(false);
+    expect(isRetryableError(responseError(404))).toBe(false);
+  });
+
+  test("only retries requests that are not idempotent when they were not processed", () => {
+    expect(isRetryableError(responseError(500), false)).toBe(false);
+    expect(isRetryableError({ code: "ECONNRESET" }, false)).toBe(false);
+    expect(isRetryableError(responseError(503), false)).toBe(true);
+    expect(isRetryableError({ code: "ECONNREFUSED" }, false)).toBe(true);
+  });
+});
+
+describe("request", () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await closeServer(server);
+    server = null;
+  });
+
+  test("retries retryable responses until one succeeds", async () => {
+    const started = await startServer([
+      { status: 503 },
+      { status: 502 },
+      { body: { ok: true } },
+    ]);
+    server = started.server;
+    const data = await request(testConfig(started.apiUrl), { path: "/info" });
+    expect(data).toEqual({ ok: true });
+    expect(started.requests).toHaveLength(3);
+  });
+
+  test("throws the error of the last attempt once maxRetries is reached", async () => {
+    const started = await startServer([{ status: 500, body: { code: "X" } }]);
+    server = started.server;
+    const error = await request(testConfig(started.apiUrl), {
+      path: "/info",
+    }).catch((error) => error);
+    expect(error.status).toBe(500);
+    expect(error.code).toBe("X");
+    expect(error.retryable).toBe(true);
+    expect(started.requests).toHaveLength(3);
+  });
+
+  test("does not retry fatal responses", async () => {
+    const started = await startServer([{ status: 401 }]);
+    server = started.server;
+    await expect(
+      request(testConfig(started.apiUrl), { path: "/info" })
+    ).rejects.toBeInstanceOf(AuthError);
+    expect(started.requests).toHaveLength(1);
+  });
+
+  test("honors Retry-After and reports it on the last rate limit", async () => {
+    const started = await startServer([
+      { status: 429, headers: { "Retry-After": "0" } },
+    ]);
+    server = started.server;
+    const error = await request(testConfig(started.apiUrl), {
+      path: "/info",
+    }).catch((error) => error);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(0);
+    expect(started.requests).toHaveLength(3);
+  });
+
+  test("does not retry a failed POST the server may have processed", async () => {
+    const started = await startServer([{ status: 500 }]);
+    server = started.server;
+    await expect(
+      request(testConfig(started.apiUrl), {
+        method: "post",
+        path: "/rewards/claim",
+        errorClass: ClaimError,
+      })
+    ).rejects.toBeInstanceOf(ClaimError);
+    expect(started.requests).toHaveLength(1);
+  });
+
+  test("throws a NetworkError when the API is unreachable", async () => {
+    const started = await startServer([{}]);
+    await closeServer(started.server);
+    await expect(
+      request(testConfig(started.apiUrl, { maxRetries: 0 }), { path: "/info" })
+    ).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  test("stops retrying when the signal is aborted", async () => {
+    const started = await startServer([{ status: 503 }]);
+    server = started.server;
+    const controller = new AbortController();
+    const promise = request(
+      testConfig(started.apiUrl, { retryDelay: 60000, maxRetryDelay: 60000 }),
+      { path: "/info", signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(), 50);
+    await expect(promise).rejects.toBeInstanceOf(AbortError);
+    expect(started.requests).toHaveLength(1);
+  });
+
+  test("removes its abort listener once the request settles", async () => {
+    const started = await startServer([{ body: {} }]);
+    server = started.server;
+    const controller = new AbortController();
+    const { signal } = controller;
+    let listeners = 0;
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (...args) => {
+      listeners++;
+      add(...args);
+    };
+    signal.removeEventListener = (...args) => {
+      listeners--;
+      remove(...args);
+    };
+    for (let i = 0; i < 5; i++) {
+      await request(testConfig(started.apiUrl), { path: "/info", signal });
+    }
+    expect(listeners).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+import { MetricsExporter } from "../src/metrics.js";
+import { Solver } from "../src/solver.js";
+import { NetworkError } from "../src/errors.js";
+
+function sample(output, line) {
+  const match = output
+    .split("\n")
+    .find((candidate) => candidate.startsWith(`${line} `));
+  return match === undefined ? undefined : Number(match.slice(line.length + 1));
+}
+
+describe("MetricsExporter", () => {
+  let solver;
+  let exporter;
+
+  beforeEach(() => {
+    solver = new Solver("key", { logLevel: "silent" });
+    exporter = new MetricsExporter(solver, { difficultyBuckets: [16, 8, 12] });
+  });
+
+  afterEach(async () => {
+    await exporter.close();
+  });
+
+  test("renders HELP and TYPE lines for every metric", () => {
+    const output = exporter.render();
+    expect(output.endsWith("\n")).toBe(true);
+    expect(output).toContain(
+      "# HELP cashcaptcha_hashes_total Nonces hashed by all workers.\n# TYPE cashcaptcha_hashes_total counter\n"
+    );
+    expect(output).toContain(
+      "# TYPE cashcaptcha_solution_difficulty histogram"
+    );
+    expect(sample(output, "cashcaptcha_up")).toBe(0);
+    expect(sample(output, 'cashcaptcha_state{state="stopped"}')).toBe(1);
+    expect(sample(output, 'cashcaptcha_state{state="solving"}')).toBe(0);
+  });
+
+  test("counts accepted difficulties in cumulative, sorted buckets", () => {
+    for (const difficulty of [7, 8, 10, 13, 20]) {
+      solver.emit("submitted", { difficulty, data: {}, queued: false });
+    }
+    const output = exporter.render();
+    const bucket = (le) =>
+      sample(output, `cashcaptcha_solution_difficulty_bucket{le="${le}"}`);
+    expect(bucket(8)).toBe(2);
+    expect(bucket(12)).toBe(3);
+    expect(bucket(16)).toBe(4);
+    expect(bucket("+Inf")).toBe(5);
+    expect(sample(output, "cashcaptcha_solution_difficulty_sum")).toBe(58);
+    expect(sample(output, "cashcaptcha_solution_difficulty_count")).toBe(5);
+    const lines = output.split("\n");
+    expect(lines.findIndex((line) => line.includes('le="8"'))).toBeLessThan(
+      lines.findIndex((line) => line.includes('le="12"'))
+    );
+  });
+
+  test("counts errors by stage and class", () => {
+    const error = new NetworkError("offline");
+    solver.emit("error", { stage: "fetch", message: "offline", error });
+    solver.emit("error", { stage: "fetch", message: "offline", error });
+    solver.emit("error", { stage: "worker", message: "crashed" });
+    const output = exporter.render();
+    expect(
+      sample(
+        output,
+        'cashcaptcha_errors_total{stage="fetch",type="NetworkError"}'
+      )
+    ).toBe(2);
+    expect(
+      sample(output, 'cashcaptcha_errors_total{stage="worker",type="Error"}')
+    ).toBe(1);
+  });
+
+  test("escapes label values", () => {
+    solver.emit("error", {
+      stage: 'say "hi"\\\n',
+      message: "",
+      error: new Error(),
+    });
+    expect(exporter.render()).toContain(
+      'cashcaptcha_errors_total{stage="say \\"hi\\"\\\\\\n",type="Error"} 1'
+    );
+  });
+
+  test("reports the time until the next check-in", () => {
+    solver.emit("waiting", {
+      reason: "next_check_in",
+      until: new Date(Date.now() + 30000),
+    });
+    const seconds = sample(
+      exporter.render(),
+      "cashcaptcha_next_check_in_seconds"
+    );
+    expect(seconds).toBeGreaterThan(28);
+    expect(seconds).toBeLessThanOrEqual(30);
+  });
+
+  test("uses the prefix option", async () => {
+    await exporter.close();
+    exporter = new MetricsExporter(solver, { prefix: "site_" });
+    expect(sample(exporter.render(), "site_up")).toBe(0);
+  });
+
+  test("stops counting once closed", async () => {
+    await exporter.close();
+    solver.emit("submitted", { difficulty: 10, data: {}, queued: false });
+    expect(
+      sample(exporter.render(), "cashcaptcha_solution_difficulty_count")
+    ).toBe(0);
+  });
+});
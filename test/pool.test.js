@@ -0,0 +1,104 @@
+import { partitionNonceRange, WorkerPool } from "../src/pool.js";
+
+describe("partitionNonceRange", () => {
+  test("splits a range into contiguous, non-overlapping ranges", () => {
+    expect(partitionNonceRange(0, 999, 4)).toEqual([
+      { nonceStart: 0, nonceEnd: 249 },
+      { nonceStart: 250, nonceEnd: 499 },
+      { nonceStart: 500, nonceEnd: 749 },
+      { nonceStart: 750, nonceEnd: 999 },
+    ]);
+  });
+
+  test("gives the remainder to the first ranges", () => {
+    expect(partitionNonceRange(10, 19, 3)).toEqual([
+      { nonceStart: 10, nonceEnd: 13 },
+      { nonceStart: 14, nonceEnd: 16 },
+      { nonceStart: 17, nonceEnd: 19 },
+    ]);
+  });
+
+  test("covers every nonce exactly once", () => {
+    const ranges = partitionNonceRange(1000, 5000, 7);
+    let next = 1000;
+    for (const { nonceStart, nonceEnd } of ranges) {
+      expect(nonceStart).toBe(next);
+      expect(nonceEnd).toBeGreaterThanOrEqual(nonceStart);
+      next = nonceEnd + 1;
+    }
+    expect(next).toBe(5001);
+  });
+
+  test("creates no more ranges than there are nonces", () => {
+    expect(partitionNonceRange(5, 6, 8)).toEqual([
+      { nonceStart: 5, nonceEnd: 5 },
+      { nonceStart: 6, nonceEnd: 6 },
+    ]);
+  });
+
+  test("creates a single range for one part", () => {
+    expect(partitionNonceRange(0, 99, 1)).toEqual([
+      { nonceStart: 0, nonceEnd: 99 },
+    ]);
+  });
+});
+
+describe("WorkerPool CPU limit", () => {
+  test("splits the limit between the workers", () => {
+    expect(new WorkerPool(4, { cpuLimit: 30 }).workerCpuLimit()).toBe(7.5);
+    expect(new WorkerPool(1, { cpuLimit: 30 }).workerCpuLimit()).toBe(30);
+  });
+
+  test("gives each worker at least 1 percent", () => {
+    expect(new WorkerPool(8, { cpuLimit: 4 }).workerCpuLimit()).toBe(1);
+  });
+
+  test("sends the share of each worker when the limit changes", () => {
+    const pool = new WorkerPool(2);
+    const messages = [];
+    pool.workers = [0, 1].map(() => ({
+      postMessage: (message) => messages.push(message),
+    }));
+    pool.setCpuLimit(50);
+    expect(messages).toEqual([
+      { type: "cpuLimit", cpuLimit: 25 },
+      { type: "cpuLimit", cpuLimit: 25 },
+    ]);
+  });
+});
+
+describe("WorkerPool benchmark", () => {
+  function poolWithFakeWorkers(size) {
+    const pool = new WorkerPool(size);
+    const messages = [];
+    pool.workers = Array.from({ length: size }, (_, index) => ({
+      postMessage: (message) => messages.push({ index, message }),
+      terminate: () => {},
+    }));
+    return { pool, messages };
+  }
+
+  test("runs in the first worker and resolves with its hash rate", async () => {
+    const { pool, messages } = poolWithFakeWorkers(2);
+    const promise = pool.benchmark(5);
+    expect(messages).toEqual([
+      { index: 0, message: { type: "benchmark", id: 1, iterations: 5 } },
+    ]);
+    pool.handleMessage({ type: "benchmark", id: 1, hashRate: 12.5 }, 0);
+    await expect(promise).resolves.toBe(12.5);
+  });
+
+  test("rejects when the worker reports an error", async () => {
+    const { pool } = poolWithFakeWorkers(1);
+    const promise = pool.benchmark(5);
+    pool.handleMessage({ type: "benchmark", id: 1, error: "No WASM" }, 0);
+    await expect(promise).rejects.toThrow("No WASM");
+  });
+
+  test("rejects when the pool is terminated", async () => {
+    const { pool } = poolWithFakeWorkers(1);
+    const promise = pool.benchmark(5);
+    pool.terminate();
+    await expect(promise).rejects.toThrow("terminated");
+  });
+});
@@ -0,0 +1,182 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createConfig } from "../src/config.js";
+import {
+  createFileQueueStore,
+  createMemoryQueueStore,
+  SolutionQueue,
+} from "../src/queue.js";
+import {
+  AbortError,
+  CashCaptchaError,
+  InvalidSolutionError,
+} from "../src/errors.js";
+import { shortHash } from "../src/print.js";
+
+const config = createConfig({
+  logLevel: "silent",
+  retryDelay: 1000,
+  maxRetryDelay: 10000,
+});
+
+function retryableError() {
+  return new CashCaptchaError("Service unavailable", {
+    status: 503,
+    retryable: true,
+  });
+}
+
+function inOneHour() {
+  return Date.now() + 3600000;
+}
+
+async function queueWith(store, apiKey, count) {
+  const queue = new SolutionQueue(store, config, apiKey);
+  await queue.load();
+  for (let i = 0; i < count; i++) {
+    await queue.add({ nonce: i }, "Y2hhbGxlbmdl", inOneHour());
+  }
+  return queue;
+}
+
+describe("SolutionQueue", () => {
+  test("submits the queued solutions and removes them", async () => {
+    const store = createMemoryQueueStore();
+    const queue = await queueWith(store, "key", 2);
+    const submitted = [];
+    await queue.replay(async (entry) => submitted.push(entry.solution.nonce));
+    expect(submitted).toEqual([0, 1]);
+    expect(queue.size).toBe(0);
+    expect(await store.load()).toEqual([]);
+  });
+
+  test("keeps and backs off the entries that fail with a retryable error", async () => {
+    const store = createMemoryQueueStore();
+    const queue = await queueWith(store, "key", 1);
+    await queue.replay(async () => {
+      throw retryableError();
+    });
+    expect(queue.size).toBe(1);
+    const [entry] = await store.load();
+    expect(entry.attempts).toBe(1);
+    expect(entry.nextAttempt).toBeGreaterThan(Date.now());
+
+    // Backing off entries are only replayed when forced
+    let calls = 0;
+    await queue.replay(async () => calls++);
+    expect(calls).toBe(0);
+    await queue.replay(async () => calls++, { force: true });
+    expect(calls).toBe(1);
+    expect(queue.size).toBe(0);
+  });
+
+  test("drops the entries that fail with a fatal error", async () => {
+    const queue = await queueWith(createMemoryQueueStore(), "key", 1);
+    await queue.replay(async () => {
+      throw new InvalidSolutionError("Invalid solution", { status: 400 });
+    });
+    expect(queue.size).toBe(0);
+  });
+
+  test("does not queue or keep expired solutions", async () => {
+    const store = createMemoryQueueStore();
+    const queue = await queueWith(store, "key", 0);
+    expect(await queue.add({ nonce: 0 }, "Y2hhbGxlbmdl", Date.now() - 1)).toBe(
+      false
+    );
+
+    await store.put({
+      id: "expired",
+      apiKeyHash: shortHash("other key"),
+      solution: { nonce: 1 },
+      challenge: "Y2hhbGxlbmdl",
+      deadline: Date.now() - 1,
+      attempts: 0,
+      nextAttempt: 0,
+    });
+    await queue.load();
+    expect(queue.size).toBe(0);
+    expect(await store.load()).toEqual([]);
+  });
+
+  test("keeps the remaining entries when the replay is aborted", async () => {
+    const queue = await queueWith(createMemoryQueueStore(), "key", 2);
+    const submitted = [];
+    await queue.replay(async (entry) => {
+      submitted.push(entry.solution.nonce);
+      throw new AbortError();
+    });
+    expect(submitted).toEqual([0]);
+    expect(queue.size).toBe(2);
+  });
+
+  test("shares a replay between concurrent calls", async () => {
+    const queue = await queueWith(createMemoryQueueStore(), "key", 1);
+    let calls = 0;
+    const submit = async () => {
+      calls++;
+    };
+    await Promise.all([queue.replay(submit), queue.replay(submit)]);
+    expect(calls).toBe(1);
+  });
+
+  test("only replays the entries of its own API key", async () => {
+    const store = createMemoryQueueStore();
+    await queueWith(store, "first", 1);
+    const second = await queueWith(store, "second", 2);
+    expect(second.size).toBe(2);
+
+    await second.replay(async () => {});
+    const first = new SolutionQueue(store, config, "first");
+    await first.load();
+    expect(first.size).toBe(1);
+    expect((await store.load()).map(({ apiKeyHash }) => apiKeyHash)).toEqual([
+      shortHash("first"),
+    ]);
+  });
+
+  test("keeps the entries other queues add to a shared store", async () => {
+    const store = createMemoryQueueStore();
+    const first = await queueWith(store, "key", 0);
+    const second = await queueWith(store, "key", 0);
+    await second.add({ nonce: 1 }, "Y2hhbGxlbmdl", inOneHour());
+    await first.add({ nonce: 2 }, "Y2hhbGxlbmdl", inOneHour());
+    expect(await store.load()).toHaveLength(2);
+
+    // Each replay reads the store again, so an entry is submitted only once
+    const submitted = [];
+    const submit = async (entry) => submitted.push(entry.solution.nonce);
+    await first.replay(submit);
+    await second.replay(submit);
+    expect(submitted.sort()).toEqual([1, 2]);
+    expect(await store.load()).toEqual([]);
+  });
+});
+
+describe("createFileQueueStore", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "cash-captcha-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("keeps every entry of concurrent writes", async () => {
+    const file = path.join(directory, "nested", "queue.json");
+    const store = createFileQueueStore(file);
+    const otherStore = createFileQueueStore(file);
+    const entry = (id) => ({ id, deadline: inOneHour() });
+    await Promise.all([
+      store.put(entry("a")),
+      otherStore.put(entry("b")),
+      store.put(entry("c")),
+      store.remove("a"),
+    ]);
+    expect((await store.load()).map(({ id }) => id)).toEqual(["b", "c"]);
+    expect(await fs.readdir(path.dirname(file))).toEqual(["queue.json"]);
+  });
+});
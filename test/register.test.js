@@ -0,0 +1,55 @@
+import { Register } from "../src/register.js";
+import { Rewards } from "../src/rewards.js";
+import { shortHash } from "../src/print.js";
+
+// A config that sends every entry to a list, and fails every request right away
+function capturingConfig(entries) {
+  const capture = (level) => (message, fields) =>
+    entries.push({ level, message, fields });
+  return {
+    apiUrl: "http://127.0.0.1:9",
+    maxRetries: 0,
+    logLevel: "debug",
+    logger: {
+      error: capture("error"),
+      warn: capture("warn"),
+      info: capture("info"),
+      debug: capture("debug"),
+    },
+  };
+}
+
+describe("Register logging", () => {
+  test("never logs API keys or email addresses", async () => {
+    const entries = [];
+    const register = new Register(
+      "parent-api-key",
+      "claim-key",
+      capturingConfig(entries)
+    );
+    await register.registerUser("visitor@example.com").catch(() => {});
+    await register.resetClaimKey("user-api-key").catch(() => {});
+
+    const logged = JSON.stringify(entries);
+    expect(logged).not.toContain("parent-api-key");
+    expect(logged).not.toContain("user-api-key");
+    expect(logged).not.toContain("claim-key");
+    expect(logged).not.toContain("visitor@example.com");
+    expect(logged).toContain(shortHash("user-api-key"));
+  });
+
+  test("adds the API key hash to every entry", async () => {
+    const entries = [];
+    const register = new Register("key", "claim", capturingConfig(entries));
+    await register.registerUser("visitor@example.com").catch(() => {});
+    const rewards = new Rewards("key", "claim", capturingConfig(entries));
+    await rewards.info().catch(() => {});
+
+    const components = new Set();
+    for (const { fields } of entries) {
+      expect(fields.apiKeyHash).toBe(shortHash("key"));
+      components.add(fields.component);
+    }
+    expect(components).toEqual(new Set(["register", "rewards"]));
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  findSolverEntry,
+  getSolverEntry,
+  retainSolver,
+} from "../src/registry.js";
+
+const config = { logLevel: "silent" };
+
+// Longer than the release delay of the registry
+const waitForRelease = () => new Promise((resolve) => setTimeout(resolve, 150));
+
+// Creates the shared Solver of an API key with a solve loop that runs until it is stopped, without any request or worker
+function createEntry(apiKey) {
+  const entry = getSolverEntry(apiKey, config);
+  const { solver } = entry;
+  solver.loops = 0;
+  solver.stops = 0;
+  solver.solveLoop = async function () {
+    this.loops++;
+    const { signal } = this.abortController;
+    await new Promise((resolve) =>
+      signal.addEventListener("abort", resolve, { once: true })
+    );
+  };
+  const stop = solver.stop.bind(solver);
+  solver.stop = (options) => {
+    solver.stops++;
+    return stop(options);
+  };
+  return entry;
+}
+
+describe("retainSolver", () => {
+  test("shares one Solver between the users of an API key", async () => {
+    const releaseA = retainSolver("shared", config, { autoStart: false });
+    const releaseB = retainSolver("shared", config, { autoStart: false });
+    const entry = findSolverEntry("shared");
+    expect(entry.refs).toBe(2);
+    expect(getSolverEntry("shared")).toBe(entry);
+    releaseA();
+    releaseB();
+    await waitForRelease();
+  });
+
+  test("starts the Solver once and stops it after the last release", async () => {
+    const { solver } = createEntry("lifecycle");
+    const releaseA = retainSolver("lifecycle", config);
+    const releaseB = retainSolver("lifecycle", config);
+    expect(solver.loopPromise).not.toBeNull();
+
+    releaseA();
+    await waitForRelease();
+    expect(solver.stops).toBe(0);
+    expect(findSolverEntry("lifecycle")).not.toBeNull();
+
+    releaseB();
+    expect(solver.stops).toBe(0);
+    await waitForRelease();
+    expect(solver.stops).toBe(1);
+    expect(solver.loops).toBe(1);
+    expect(solver.loopPromise).toBeNull();
+    expect(findSolverEntry("lifecycle")).toBeNull();
+  });
+
+  test("keeps the Solver running when it is retained again within the release delay", async () => {
+    const entry = createEntry("remount");
+    const release = retainSolver("remount", config);
+    release();
+    const releaseAgain = retainSolver("remount", config);
+    await waitForRelease();
+    expect(findSolverEntry("remount")).toBe(entry);
+    expect(entry.solver.stops).toBe(0);
+    expect(entry.solver.loops).toBe(1);
+
+    releaseAgain();
+    await waitForRelease();
+    expect(entry.solver.stops).toBe(1);
+  });
+
+  test("ignores a release called more than once", async () => {
+    const entry = createEntry("twice");
+    const releaseA = retainSolver("twice", config, { autoStart: false });
+    retainSolver("twice", config, { autoStart: false });
+    releaseA();
+    releaseA();
+    expect(entry.refs).toBe(1);
+    await waitForRelease();
+    expect(findSolverEntry("twice")).toBe(entry);
+    expect(entry.solver.stops).toBe(0);
+  });
+
+  test("creates a new Solver once the previous one was released", async () => {
+    const first = createEntry("recreate");
+    retainSolver("recreate", config, { autoStart: false })();
+    await waitForRelease();
+    const release = retainSolver("recreate", config, { autoStart: false });
+    expect(findSolverEntry("recreate")).not.toBe(first);
+    release();
+    await waitForRelease();
+  });
+});
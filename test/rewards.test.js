@@ -0,0 +1,190 @@
+import { aggregateRewardsHistory, Rewards } from "../src/rewards.js";
+import { AbortError, AuthError, RateLimitError } from "../src/errors.js";
+
+// A Rewards object whose history() serves the given number of items per epoch, recording each request
+function createRewards(itemsPerEpoch, options = {}) {
+  const rewards = new Rewards("key", "claim", {
+    logLevel: "silent",
+    maxRetries: 2,
+    retryDelay: 1,
+    ...options,
+  });
+  rewards.requests = [];
+  rewards.history = async (epoch, page, itemsPerPage) => {
+    rewards.requests.push([epoch, page]);
+    const total = itemsPerEpoch[epoch] || 0;
+    const start = page * itemsPerPage;
+    const results = [];
+    for (let i = start; i < Math.min(total, start + itemsPerPage); i++) {
+      results.push({ pool: `pool-${i % 2}`, index: i });
+    }
+    return { results, total };
+  };
+  return rewards;
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe("Rewards.historyIterator", () => {
+  test("walks every page of every epoch in ascending order", async () => {
+    const rewards = createRewards({ 1: 5, 2: 0, 3: 2 });
+    const items = await collect(
+      rewards.historyIterator({ fromEpoch: 1, toEpoch: 3, pageSize: 2 })
+    );
+    expect(items.map(({ epoch, index }) => [epoch, index])).toEqual([
+      [1, 0],
+      [1, 1],
+      [1, 2],
+      [1, 3],
+      [1, 4],
+      [3, 0],
+      [3, 1],
+    ]);
+    // A full last page is known to be the last one from the total
+    expect(rewards.requests).toEqual([
+      [1, 0],
+      [1, 1],
+      [1, 2],
+      [2, 0],
+      [3, 0],
+    ]);
+  });
+
+  test("walks epochs in descending order when toEpoch is lower", async () => {
+    const rewards = createRewards({ 0: 1, 1: 1, 2: 1 });
+    const items = await collect(
+      rewards.historyIterator({ fromEpoch: 2, toEpoch: 0 })
+    );
+    expect(items.map(({ epoch }) => epoch)).toEqual([2, 1, 0]);
+  });
+
+  test("stops fetching when the loop is left", async () => {
+    const rewards = createRewards({ 0: 10, 1: 10 });
+    for await (const item of rewards.historyIterator({
+      toEpoch: 1,
+      pageSize: 2,
+    })) {
+      if (item.index === 1) break;
+    }
+    expect(rewards.requests).toEqual([[0, 0]]);
+  });
+
+  test("fetches a rate limited page again after the delay of the API", async () => {
+    const rewards = createRewards({ 0: 1 });
+    const history = rewards.history;
+    let failures = 2;
+    rewards.history = async (...args) => {
+      if (failures-- > 0) {
+        throw new RateLimitError("Too many requests", { retryAfter: 0 });
+      }
+      return history(...args);
+    };
+    const items = await collect(rewards.historyIterator({ toEpoch: 0 }));
+    expect(items).toHaveLength(1);
+  });
+
+  test("gives up once maxRetries is reached", async () => {
+    const rewards = createRewards({}, { maxRetries: 1 });
+    let calls = 0;
+    rewards.history = async () => {
+      calls++;
+      throw new RateLimitError("Too many requests", { retryAfter: 0 });
+    };
+    await expect(
+      collect(rewards.historyIterator({ toEpoch: 0 }))
+    ).rejects.toBeInstanceOf(RateLimitError);
+    expect(calls).toBe(2);
+  });
+
+  test("does not retry other errors", async () => {
+    const rewards = createRewards({});
+    let calls = 0;
+    rewards.history = async () => {
+      calls++;
+      throw new AuthError("Invalid API key", { status: 401 });
+    };
+    await expect(
+      collect(rewards.historyIterator({ toEpoch: 0 }))
+    ).rejects.toBeInstanceOf(AuthError);
+    expect(calls).toBe(1);
+  });
+
+  test("stops with an AbortError when aborted during a rate limit delay", async () => {
+    const rewards = createRewards({});
+    rewards.history = async () => {
+      throw new RateLimitError("Too many requests", { retryAfter: 60000 });
+    };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    await expect(
+      collect(
+        rewards.historyIterator({ toEpoch: 0, signal: controller.signal })
+      )
+    ).rejects.toBeInstanceOf(AbortError);
+  });
+
+  test.each([
+    [{ toEpoch: -1 }],
+    [{ fromEpoch: 1.5, toEpoch: 2 }],
+    [{ toEpoch: 2, pageSize: 0 }],
+  ])("rejects invalid options %p", async (options) => {
+    await expect(
+      collect(createRewards({}).historyIterator(options))
+    ).rejects.toBeInstanceOf(RangeError);
+  });
+});
+
+describe("aggregateRewardsHistory", () => {
+  test("sums the items overall, per epoch and per pool", async () => {
+    const summary = await aggregateRewardsHistory([
+      {
+        epoch: 2,
+        pool: "b",
+        user_rewards_earned: 5,
+        pool_rewards_earned: 50,
+        pool_best_solution_difficulty: 12,
+      },
+      {
+        epoch: 1,
+        pool: "a",
+        user_rewards_earned: 3,
+        pool_rewards_earned: 30,
+        pool_best_solution_difficulty: 20,
+      },
+      {
+        epoch: 2,
+        pool: "a",
+        user_rewards_earned: 1,
+        pool_rewards_earned: 10,
+        pool_best_solution_difficulty: 15,
+      },
+    ]);
+    expect(summary.totals).toEqual({
+      userRewardsEarned: 9,
+      poolRewardsEarned: 90,
+      bestDifficulty: 20,
+      submissions: 3,
+    });
+    expect(
+      summary.epochs.map(({ epoch, submissions }) => [epoch, submissions])
+    ).toEqual([
+      [1, 1],
+      [2, 2],
+    ]);
+    expect(
+      summary.pools.map(({ pool, userRewardsEarned }) => [
+        pool,
+        userRewardsEarned,
+      ])
+    ).toEqual([
+      ["a", 4],
+      ["b", 5],
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+import { Solver } from "../src/solver.js";
+
+// A Solver whose solve loop runs until the solver is stopped, without any request or worker
+function createSolver() {
+  const solver = new Solver("key", { logLevel: "silent" });
+  solver.loops = 0;
+  solver.solveLoop = async function () {
+    this.loops++;
+    const { signal } = this.abortController;
+    await new Promise((resolve) =>
+      signal.addEventListener("abort", resolve, { once: true })
+    );
+  };
+  return solver;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Solver start and stop", () => {
+  test("start() while running returns the running loop", async () => {
+    const solver = createSolver();
+    const first = solver.start();
+    const second = solver.start();
+    await tick();
+    expect(solver.loops).toBe(1);
+    await solver.stop();
+    await Promise.all([first, second]);
+  });
+
+  test("start() while stopping starts again once the old loop has exited", async () => {
+    const solver = createSolver();
+    solver.start();
+    await tick();
+    const stopped = solver.stop();
+    const restarted = solver.start();
+    await stopped;
+    await tick();
+    expect(solver.loops).toBe(2);
+    expect(solver.loopPromise).not.toBeNull();
+    await solver.stop();
+    await restarted;
+    expect(solver.loopPromise).toBeNull();
+  });
+
+  test("stop() cancels a start() that waits for the previous stop", async () => {
+    const solver = createSolver();
+    solver.start();
+    await tick();
+    solver.stop();
+    const restarted = solver.start();
+    await solver.stop();
+    await restarted;
+    expect(solver.loops).toBe(1);
+    expect(solver.loopPromise).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+import { StatsCollector } from "../src/stats.js";
+
+describe("StatsCollector.progress", () => {
+  test("adds only the nonces checked since the previous message of a job", () => {
+    const stats = new StatsCollector();
+    stats.progress(0, { id: 1, noncesChecked: 100, hashesPerSecond: 10 });
+    stats.progress(0, { id: 1, noncesChecked: 250, hashesPerSecond: 10 });
+    stats.progress(0, { id: 1, noncesChecked: 300, hashesPerSecond: 10 });
+    expect(stats.snapshot().hashes).toBe(300);
+  });
+
+  test("counts each worker separately", () => {
+    const stats = new StatsCollector();
+    stats.progress(0, { id: 1, noncesChecked: 100, hashesPerSecond: 10 });
+    stats.progress(1, { id: 1, noncesChecked: 40, hashesPerSecond: 5 });
+    stats.progress(0, { id: 1, noncesChecked: 150, hashesPerSecond: 12 });
+    stats.progress(1, { id: 1, noncesChecked: 90, hashesPerSecond: 6 });
+    const { hashes, hashRate } = stats.snapshot();
+    expect(hashes).toBe(240);
+    expect(hashRate).toBe(18);
+  });
+
+  test("starts counting from zero when a worker moves to a new job", () => {
+    const stats = new StatsCollector();
+    stats.progress(0, { id: 1, noncesChecked: 500, hashesPerSecond: 10 });
+    stats.progress(0, { id: 2, noncesChecked: 20, hashesPerSecond: 10 });
+    stats.progress(0, { id: 2, noncesChecked: 70, hashesPerSecond: 10 });
+    expect(stats.snapshot().hashes).toBe(570);
+  });
+
+  test("ignores a count lower than the previous one of the same job", () => {
+    const stats = new StatsCollector();
+    stats.progress(0, { id: 1, noncesChecked: 100, hashesPerSecond: 10 });
+    stats.progress(0, { id: 1, noncesChecked: 80, hashesPerSecond: 10 });
+    stats.progress(0, { id: 1, noncesChecked: 120, hashesPerSecond: 10 });
+    expect(stats.snapshot().hashes).toBe(140);
+  });
+
+  test("keeps the hashes but resets the hash rate when solving finishes", () => {
+    const stats = new StatsCollector();
+    stats.solvingStarted();
+    stats.progress(0, { id: 1, noncesChecked: 100, hashesPerSecond: 10 });
+    stats.solvingFinished();
+    // A new worker pool numbers its jobs from 1 again
+    stats.solvingStarted();
+    stats.progress(0, { id: 1, noncesChecked: 30, hashesPerSecond: 10 });
+    stats.solvingFinished();
+    const { hashes, hashRate } = stats.snapshot();
+    expect(hashes).toBe(130);
+    expect(hashRate).toBe(0);
+  });
+});
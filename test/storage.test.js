@@ -0,0 +1,41 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createFileStorage, createMemoryStorage } from "../src/storage.js";
+
+describe("createFileStorage", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "cash-captcha-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("creates missing directories", async () => {
+    const file = path.join(directory, "nested", "storage.json");
+    await createFileStorage(file).set("captchaWorkerId", "worker");
+    expect(await createFileStorage(file).get("captchaWorkerId")).toBe("worker");
+  });
+
+  test("keeps the latest value of concurrent writes", async () => {
+    const file = path.join(directory, "storage.json");
+    const storage = createFileStorage(file);
+    await Promise.all([storage.set("a", "1"), storage.set("b", "2")]);
+    await storage.remove("a");
+    expect(JSON.parse(await fs.readFile(file, "utf8"))).toEqual({ b: "2" });
+  });
+});
+
+describe("createMemoryStorage", () => {
+  test("gets, sets and removes values", () => {
+    const storage = createMemoryStorage();
+    expect(storage.get("key")).toBeNull();
+    storage.set("key", "value");
+    expect(storage.get("key")).toBe("value");
+    storage.remove("key");
+    expect(storage.get("key")).toBeNull();
+  });
+});